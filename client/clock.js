@@ -0,0 +1,66 @@
+// Server clock estimation for HaxBall Clone
+// NTP-style exchange: the client stamps a timeSync request with its local time,
+// the server answers with its own, and the offset is taken from the sample with
+// the lowest round trip (least affected by queueing delay).
+class ClockSync {
+    constructor(options = {}) {
+        this.maxSamples = options.maxSamples || 8;
+        this.samples = [];
+        this.offset = null; // serverTime - localTime
+        this.nextId = 1;
+        this.pending = new Map();
+    }
+
+    // Build a request and remember when it was sent
+    createRequest(now = performance.now()) {
+        const id = this.nextId++;
+        this.pending.set(id, now);
+
+        // Forget requests that never got an answer
+        this.pending.delete(id - this.maxSamples);
+
+        return { id: id, clientTime: now };
+    }
+
+    // Add a sample from the server's reply
+    handleResponse(response, now = performance.now()) {
+        const sentAt = this.pending.get(response.id);
+        if (sentAt === undefined) return;
+        this.pending.delete(response.id);
+
+        const rtt = now - sentAt;
+        this.samples.push({
+            rtt: rtt,
+            offset: response.serverTime + rtt / 2 - now
+        });
+
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+
+        const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        this.offset = best.offset;
+    }
+
+    // Whether at least one sample has arrived
+    isSynced() {
+        return this.offset !== null;
+    }
+
+    // Estimated server time for a local timestamp
+    serverNow(now = performance.now()) {
+        return now + (this.offset || 0);
+    }
+
+    // Forget all samples (new connection)
+    reset() {
+        this.samples = [];
+        this.offset = null;
+        this.pending.clear();
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClockSync;
+}
@@ -0,0 +1,375 @@
+// Binary codec for HaxBall Clone hot-path messages
+// Shared by client and server. Encodes input frames and (delta) snapshots into
+// compact little-endian ArrayBuffers; JSON stays available for debugging.
+//
+// Input frame:  u8 type | u32 seq | u8 button bits
+// Snapshot:     u8 type | u32 snapshot | u32 baseline (0 = full) | u16 field mask
+//               | known fields in mask order | players | removed | JSON tail
+// Positions are int16 in 1/16 px, velocities int16 in 1/256 px per tick, ball
+// spin int16 in 1/4096 rad per tick and its angle uint16 in 1/65536 of a turn.
+// Player ids travel as the per-room u8 slot from the roster. Fields without a
+// binary layout go into the JSON tail so new state never breaks the codec.
+class BinaryCodec {
+    // Encode input frame
+    static encodeInput(frame) {
+        const buffer = new ArrayBuffer(6);
+        const view = new DataView(buffer);
+
+        let bits = 0;
+        BinaryCodec.INPUT_KEYS.forEach((key, index) => {
+            if (frame[key]) bits |= 1 << index;
+        });
+
+        view.setUint8(0, BinaryCodec.MESSAGE_INPUT);
+        view.setUint32(1, frame.seq >>> 0, true);
+        view.setUint8(5, bits);
+        return buffer;
+    }
+
+    // Decode input frame
+    static decodeInput(data) {
+        const view = BinaryCodec.toDataView(data);
+        if (view.byteLength < 6 || view.getUint8(0) !== BinaryCodec.MESSAGE_INPUT) return null;
+
+        const frame = { seq: view.getUint32(1, true) };
+        const bits = view.getUint8(5);
+        BinaryCodec.INPUT_KEYS.forEach((key, index) => {
+            frame[key] = (bits & (1 << index)) !== 0;
+        });
+        return frame;
+    }
+
+    // Encode full or delta snapshot; slotsById maps player id to roster slot
+    static encodeSnapshot(message, slotsById) {
+        const writer = new BinaryWriter();
+        const extras = {};
+
+        let mask = 0;
+        BinaryCodec.SNAPSHOT_FIELDS.forEach((field, index) => {
+            if (message[field] !== undefined) mask |= 1 << index;
+        });
+
+        writer.uint8(BinaryCodec.MESSAGE_SNAPSHOT);
+        writer.uint32(message.snapshot);
+        writer.uint32(message.baseline === null ? 0 : message.baseline);
+        writer.uint16(mask);
+
+        if (message.tick !== undefined) writer.uint32(message.tick);
+        if (message.serverTime !== undefined) writer.float64(message.serverTime);
+        if (message.gameTime !== undefined) writer.float64(message.gameTime);
+        if (message.lastInputSeq !== undefined) writer.uint32(message.lastInputSeq);
+        if (message.isPlaying !== undefined) writer.uint8(message.isPlaying ? 1 : 0);
+        if (message.clockRunning !== undefined) writer.uint8(message.clockRunning ? 1 : 0);
+        if (message.score !== undefined) BinaryCodec.writeScore(writer, message.score);
+        if (message.ball !== undefined) BinaryCodec.writeEntity(writer, message.ball, extras, 'ball');
+
+        // Players
+        const players = message.players || [];
+        writer.uint8(players.length);
+        players.forEach(player => {
+            writer.uint8(slotsById.get(player.id));
+            const playerExtras = {};
+            BinaryCodec.writeEntity(writer, player, playerExtras);
+            if (Object.keys(playerExtras).length > 0) {
+                extras.players = extras.players || {};
+                extras.players[slotsById.get(player.id)] = playerExtras;
+            }
+        });
+
+        // Removed players
+        const removed = message.removed || [];
+        writer.uint8(removed.length);
+        removed.forEach(id => writer.uint8(slotsById.get(id)));
+
+        // Anything without a binary layout
+        Object.keys(message).forEach(key => {
+            if (!BinaryCodec.BINARY_KEYS.includes(key)) {
+                extras[key] = message[key];
+            }
+        });
+        writer.json(Object.keys(extras).length > 0 ? extras : null);
+
+        return writer.toArrayBuffer();
+    }
+
+    // Decode snapshot; idsBySlot maps roster slot back to player id
+    static decodeSnapshot(data, idsBySlot) {
+        const reader = new BinaryReader(BinaryCodec.toDataView(data));
+        if (reader.uint8() !== BinaryCodec.MESSAGE_SNAPSHOT) return null;
+
+        const message = {
+            snapshot: reader.uint32(),
+            baseline: reader.uint32() || null
+        };
+        const mask = reader.uint16();
+        const has = field => (mask & (1 << BinaryCodec.SNAPSHOT_FIELDS.indexOf(field))) !== 0;
+
+        if (has('tick')) message.tick = reader.uint32();
+        if (has('serverTime')) message.serverTime = reader.float64();
+        if (has('gameTime')) message.gameTime = reader.float64();
+        if (has('lastInputSeq')) message.lastInputSeq = reader.uint32();
+        if (has('isPlaying')) message.isPlaying = reader.uint8() === 1;
+        if (has('clockRunning')) message.clockRunning = reader.uint8() === 1;
+        if (has('score')) message.score = BinaryCodec.readScore(reader);
+        if (has('ball')) message.ball = BinaryCodec.readEntity(reader);
+
+        // Players
+        const playerCount = reader.uint8();
+        const players = [];
+        const slots = [];
+        for (let i = 0; i < playerCount; i++) {
+            const slot = reader.uint8();
+            const player = BinaryCodec.readEntity(reader);
+            player.id = idsBySlot.get(slot);
+            slots.push(slot);
+            players.push(player);
+        }
+
+        // Removed players
+        const removedCount = reader.uint8();
+        const removed = [];
+        for (let i = 0; i < removedCount; i++) {
+            removed.push(idsBySlot.get(reader.uint8()));
+        }
+
+        // Merge JSON tail
+        const extras = reader.json() || {};
+        const playerExtras = extras.players || {};
+        const ballExtras = extras.ball;
+        delete extras.players;
+        delete extras.ball;
+        Object.assign(message, extras);
+
+        if (ballExtras) {
+            message.ball = { ...message.ball, ...ballExtras };
+        }
+
+        players.forEach((player, index) => {
+            if (playerExtras[slots[index]]) {
+                Object.assign(player, playerExtras[slots[index]]);
+            }
+        });
+
+        const known = players.filter(player => player.id !== undefined);
+        if (known.length > 0 || has('players')) message.players = known;
+        if (removed.length > 0) message.removed = removed.filter(id => id !== undefined);
+
+        return message;
+    }
+
+    // Get message type byte
+    static messageType(data) {
+        const view = BinaryCodec.toDataView(data);
+        return view.byteLength > 0 ? view.getUint8(0) : null;
+    }
+
+    // Write x/y/vx/vy/kicking/spin/angle with a presence mask; other fields go to extras
+    static writeEntity(writer, entity, extras, extrasKey) {
+        let fieldMask = 0;
+        BinaryCodec.ENTITY_FIELDS.forEach((field, index) => {
+            if (entity[field] !== undefined) fieldMask |= 1 << index;
+        });
+        if (entity.kicking) fieldMask |= BinaryCodec.KICKING_VALUE_BIT;
+
+        writer.uint8(fieldMask);
+        if (entity.x !== undefined) writer.int16(entity.x * BinaryCodec.POSITION_SCALE);
+        if (entity.y !== undefined) writer.int16(entity.y * BinaryCodec.POSITION_SCALE);
+        if (entity.vx !== undefined) writer.int16(entity.vx * BinaryCodec.VELOCITY_SCALE);
+        if (entity.vy !== undefined) writer.int16(entity.vy * BinaryCodec.VELOCITY_SCALE);
+        if (entity.spin !== undefined) writer.int16(entity.spin * BinaryCodec.SPIN_SCALE);
+        if (entity.angle !== undefined) writer.uint16(Math.round(entity.angle / (Math.PI * 2) * 65536) & 0xFFFF);
+
+        const entityExtras = {};
+        Object.keys(entity).forEach(key => {
+            if (key !== 'id' && !BinaryCodec.ENTITY_FIELDS.includes(key)) {
+                entityExtras[key] = entity[key];
+            }
+        });
+
+        if (Object.keys(entityExtras).length === 0) return;
+        if (extrasKey) {
+            extras[extrasKey] = entityExtras;
+        } else {
+            Object.assign(extras, entityExtras);
+        }
+    }
+
+    // Read entity written by writeEntity
+    static readEntity(reader) {
+        const fieldMask = reader.uint8();
+        const entity = {};
+        const has = field => (fieldMask & (1 << BinaryCodec.ENTITY_FIELDS.indexOf(field))) !== 0;
+
+        if (has('x')) entity.x = reader.int16() / BinaryCodec.POSITION_SCALE;
+        if (has('y')) entity.y = reader.int16() / BinaryCodec.POSITION_SCALE;
+        if (has('vx')) entity.vx = reader.int16() / BinaryCodec.VELOCITY_SCALE;
+        if (has('vy')) entity.vy = reader.int16() / BinaryCodec.VELOCITY_SCALE;
+        if (has('kicking')) entity.kicking = (fieldMask & BinaryCodec.KICKING_VALUE_BIT) !== 0;
+        if (has('spin')) entity.spin = reader.int16() / BinaryCodec.SPIN_SCALE;
+        if (has('angle')) entity.angle = reader.uint16() / 65536 * Math.PI * 2;
+
+        return entity;
+    }
+
+    // Write (possibly partial) score
+    static writeScore(writer, score) {
+        writer.uint8((score.red !== undefined ? 1 : 0) | (score.blue !== undefined ? 2 : 0));
+        if (score.red !== undefined) writer.uint16(score.red);
+        if (score.blue !== undefined) writer.uint16(score.blue);
+    }
+
+    // Read score written by writeScore
+    static readScore(reader) {
+        const scoreMask = reader.uint8();
+        const score = {};
+        if (scoreMask & 1) score.red = reader.uint16();
+        if (scoreMask & 2) score.blue = reader.uint16();
+        return score;
+    }
+
+    // View any binary payload (ArrayBuffer, typed array or Node Buffer)
+    static toDataView(data) {
+        if (data instanceof ArrayBuffer) return new DataView(data);
+        return new DataView(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    // Check if a payload is binary
+    static isBinary(data) {
+        return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+    }
+}
+
+BinaryCodec.MESSAGE_INPUT = 1;
+BinaryCodec.MESSAGE_SNAPSHOT = 2;
+BinaryCodec.MESSAGE_EVENTS = {
+    [BinaryCodec.MESSAGE_INPUT]: 'playerInput',
+    [BinaryCodec.MESSAGE_SNAPSHOT]: 'gameState'
+};
+BinaryCodec.POSITION_SCALE = 16;
+BinaryCodec.VELOCITY_SCALE = 256;
+BinaryCodec.SPIN_SCALE = 4096;
+BinaryCodec.INPUT_KEYS = ['up', 'down', 'left', 'right', 'kick', 'sprint'];
+BinaryCodec.SNAPSHOT_FIELDS = ['tick', 'serverTime', 'gameTime', 'lastInputSeq', 'isPlaying', 'score', 'ball', 'players', 'clockRunning'];
+BinaryCodec.BINARY_KEYS = ['snapshot', 'baseline', 'removed', ...BinaryCodec.SNAPSHOT_FIELDS];
+BinaryCodec.ENTITY_FIELDS = ['x', 'y', 'vx', 'vy', 'kicking', 'spin', 'angle'];
+BinaryCodec.KICKING_VALUE_BIT = 1 << 7;
+
+// Growable little-endian buffer writer
+class BinaryWriter {
+    constructor() {
+        this.view = new DataView(new ArrayBuffer(256));
+        this.offset = 0;
+    }
+
+    // Make room for more bytes
+    ensure(size) {
+        if (this.offset + size <= this.view.byteLength) return;
+
+        const grown = new ArrayBuffer(Math.max(this.view.byteLength * 2, this.offset + size));
+        new Uint8Array(grown).set(new Uint8Array(this.view.buffer, 0, this.offset));
+        this.view = new DataView(grown);
+    }
+
+    uint8(value) {
+        this.ensure(1);
+        this.view.setUint8(this.offset, value);
+        this.offset += 1;
+    }
+
+    uint16(value) {
+        this.ensure(2);
+        this.view.setUint16(this.offset, value, true);
+        this.offset += 2;
+    }
+
+    uint32(value) {
+        this.ensure(4);
+        this.view.setUint32(this.offset, value >>> 0, true);
+        this.offset += 4;
+    }
+
+    // Rounded and clamped to the int16 range
+    int16(value) {
+        this.ensure(2);
+        this.view.setInt16(this.offset, Math.max(-32768, Math.min(32767, Math.round(value))), true);
+        this.offset += 2;
+    }
+
+    float64(value) {
+        this.ensure(8);
+        this.view.setFloat64(this.offset, value, true);
+        this.offset += 8;
+    }
+
+    // Length-prefixed UTF-8 JSON, zero length for null
+    json(value) {
+        if (value === null) {
+            this.uint32(0);
+            return;
+        }
+
+        const bytes = new TextEncoder().encode(JSON.stringify(value));
+        this.uint32(bytes.length);
+        this.ensure(bytes.length);
+        new Uint8Array(this.view.buffer, this.offset, bytes.length).set(bytes);
+        this.offset += bytes.length;
+    }
+
+    // Get written bytes
+    toArrayBuffer() {
+        return this.view.buffer.slice(0, this.offset);
+    }
+}
+
+// Sequential little-endian buffer reader
+class BinaryReader {
+    constructor(view) {
+        this.view = view;
+        this.offset = 0;
+    }
+
+    uint8() {
+        const value = this.view.getUint8(this.offset);
+        this.offset += 1;
+        return value;
+    }
+
+    uint16() {
+        const value = this.view.getUint16(this.offset, true);
+        this.offset += 2;
+        return value;
+    }
+
+    uint32() {
+        const value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    int16() {
+        const value = this.view.getInt16(this.offset, true);
+        this.offset += 2;
+        return value;
+    }
+
+    float64() {
+        const value = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+
+    // Read length-prefixed UTF-8 JSON
+    json() {
+        const length = this.uint32();
+        if (length === 0) return null;
+
+        const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
+        this.offset += length;
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BinaryCodec;
+}
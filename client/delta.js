@@ -0,0 +1,129 @@
+// Snapshot delta encoding for HaxBall Clone
+// Shared by client and server. A full snapshot has `baseline: null`; a delta
+// carries only the fields that changed since the snapshot numbered `baseline`.
+//   { snapshot, baseline, <scalars>, <objects>, players: [{ id, ... }], removed: [ids] }
+class SnapshotDelta {
+    // Build delta from baseline to current (both full snapshots)
+    static encode(baseline, current) {
+        const delta = {
+            snapshot: current.snapshot,
+            baseline: baseline.snapshot
+        };
+
+        Object.keys(current).forEach(key => {
+            if (key === 'snapshot' || key === 'baseline') return;
+
+            if (key === 'players') {
+                SnapshotDelta.encodePlayers(baseline.players || [], current.players, delta);
+            } else if (SnapshotDelta.isObject(current[key])) {
+                const changed = SnapshotDelta.diffFields(baseline[key] || {}, current[key]);
+                if (changed) delta[key] = changed;
+            } else if (current[key] !== baseline[key]) {
+                delta[key] = current[key];
+            }
+        });
+
+        return delta;
+    }
+
+    // Rebuild full snapshot from baseline and delta
+    static decode(baseline, delta) {
+        const state = SnapshotDelta.copy(baseline);
+        state.snapshot = delta.snapshot;
+        state.baseline = null;
+
+        Object.keys(delta).forEach(key => {
+            if (key === 'snapshot' || key === 'baseline' || key === 'players' || key === 'removed') return;
+
+            if (SnapshotDelta.isObject(delta[key])) {
+                state[key] = { ...state[key], ...delta[key] };
+            } else {
+                state[key] = delta[key];
+            }
+        });
+
+        // Merge changed players, keeping baseline order and appending new ones
+        const players = new Map();
+        state.players.forEach(player => players.set(player.id, player));
+
+        (delta.players || []).forEach(changes => {
+            players.set(changes.id, { ...players.get(changes.id), ...changes });
+        });
+
+        (delta.removed || []).forEach(id => players.delete(id));
+
+        state.players = Array.from(players.values());
+        return state;
+    }
+
+    // Add changed and removed players to delta
+    static encodePlayers(baselinePlayers, currentPlayers, delta) {
+        const previous = new Map();
+        baselinePlayers.forEach(player => previous.set(player.id, player));
+
+        const changedPlayers = [];
+        currentPlayers.forEach(player => {
+            const before = previous.get(player.id);
+            previous.delete(player.id);
+
+            if (!before) {
+                changedPlayers.push({ ...player });
+                return;
+            }
+
+            const changed = SnapshotDelta.diffFields(before, player);
+            if (changed) {
+                changedPlayers.push({ id: player.id, ...changed });
+            }
+        });
+
+        if (changedPlayers.length > 0) {
+            delta.players = changedPlayers;
+        }
+
+        if (previous.size > 0) {
+            delta.removed = Array.from(previous.keys());
+        }
+    }
+
+    // Get fields of current that differ from before, or null if none
+    static diffFields(before, current) {
+        let changed = null;
+
+        Object.keys(current).forEach(key => {
+            if (current[key] !== before[key]) {
+                changed = changed || {};
+                changed[key] = current[key];
+            }
+        });
+
+        return changed;
+    }
+
+    // Deep enough copy so decoded snapshots never share objects
+    static copy(snapshot) {
+        const result = {};
+
+        Object.keys(snapshot).forEach(key => {
+            if (key === 'players') {
+                result.players = snapshot.players.map(player => ({ ...player }));
+            } else if (SnapshotDelta.isObject(snapshot[key])) {
+                result[key] = { ...snapshot[key] };
+            } else {
+                result[key] = snapshot[key];
+            }
+        });
+
+        return result;
+    }
+
+    // Plain object check (arrays are handled separately)
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotDelta;
+}
@@ -3,18 +3,26 @@ class Game {
     constructor() {
         this.canvas = null;
         this.ctx = null;
-        this.physics = new PhysicsEngine();
+        this.stadium = new Stadium();
+        this.physics = new PhysicsEngine(this.stadium);
+        this.prediction = new PredictionManager(this.physics);
+        this.snapshots = new SnapshotBuffer({ interpolationDelay: 100 });
         this.network = null;
         this.isOffline = false;
         
+        // Nicknames and teams, sent separately from snapshots
+        this.roster = new Map();
+
         // Game state
         this.gameState = {
             players: new Map(),
             ball: {
-                x: 400,
-                y: 200,
+                x: this.stadium.center.x,
+                y: this.stadium.center.y,
                 vx: 0,
-                vy: 0
+                vy: 0,
+                spin: 0,
+                angle: 0
             },
             score: {
                 red: 0,
@@ -24,6 +32,21 @@ class Game {
             isPlaying: false
         };
 
+        // Server match clock from the latest snapshot
+        this.matchClock = {
+            gameTime: 0,
+            serverTime: 0,
+            running: false
+        };
+        this.maxClockExtrapolation = 1000; // ms without snapshots before the timer stops
+
+        // Match state from the latest snapshot (null offline)
+        this.matchState = null;
+        this.phaseEndTick = null;
+        this.kickoffTeam = null;
+        this.serverTick = 0;
+        this.tickDuration = 1000 / 60;
+
         // Local player state
         this.localPlayer = {
             id: null,
@@ -31,19 +54,31 @@ class Game {
                 up: false,
                 down: false,
                 left: false,
-                right: false
-            }
+                right: false,
+                kick: false,
+                sprint: false
+            },
+            lastKickTime: 0
         };
 
+        // Kick settings (offline mode)
+        this.kickStrength = 8;
+        this.kickCooldown = 200;
+
+        // Input frames are sampled at the server tick rate
+        this.inputInterval = 1000 / 60;
+        this.inputAccumulator = 0;
+
         // Rendering
         this.lastFrameTime = 0;
         this.animationId = null;
 
-        // Field dimensions
-        this.fieldWidth = 800;
-        this.fieldHeight = 400;
-        this.goalWidth = 100;
-        this.goalHeight = 80;
+        // Canvas area in field coordinates; covers the nets outside the field
+        this.view = null;
+
+        // Room physics preset; the host may change it between matches
+        this.physicsPreset = 'classic';
+        this.isHost = false;
 
         this.init();
     }
@@ -64,10 +99,18 @@ class Game {
         }
 
         this.ctx = this.canvas.getContext('2d');
-        
-        // Set canvas size
-        this.canvas.width = this.fieldWidth;
-        this.canvas.height = this.fieldHeight;
+        this.resizeCanvas();
+    }
+
+    // Fit the canvas to the stadium
+    resizeCanvas() {
+        this.view = this.stadium.getBounds();
+
+        if (!this.ctx) return;
+
+        // Set canvas size (this also resets the context state)
+        this.canvas.width = this.view.width;
+        this.canvas.height = this.view.height;
 
         // Setup canvas styling
         this.ctx.imageSmoothingEnabled = true;
@@ -75,10 +118,33 @@ class Game {
         this.ctx.textBaseline = 'middle';
     }
 
+    // Switch physics, prediction and rendering to a stadium definition
+    applyStadium(definition, physics = null) {
+        this.stadium = new Stadium(definition);
+        this.applyPhysics(physics || { preset: 'classic', config: this.stadium.physics });
+        this.physics.resetBall(this.gameState.ball);
+        this.resizeCanvas();
+    }
+
+    // Use the room's physics config so prediction matches the server
+    applyPhysics(physics) {
+        this.physics = new PhysicsEngine(this.stadium, physics.config);
+        this.physicsPreset = physics.preset;
+        this.prediction.setPhysics(this.physics);
+        this.updatePhysicsControl();
+    }
+
+    // Let the host pick a preset while no match is running
+    updatePhysicsControl() {
+        const betweenMatches = this.matchState === 'lobby' || this.matchState === 'finished';
+        window.uiManager.updatePhysicsPreset(this.physicsPreset, this.isHost && !this.isOffline && betweenMatches);
+    }
+
     // Setup network connection
     setupNetwork() {
         // Try to connect to server, fallback to offline mode
         this.network = new NetworkManager();
+        this.snapshots.setClock(this.network.clock);
         
         // Setup network event handlers
         this.network.onConnect = () => {
@@ -88,16 +154,54 @@ class Game {
 
         this.network.onDisconnect = () => {
             console.log('Disconnected from server');
-            // Switch to offline mode for testing
+
+            // Never reached the server: switch to offline mode for testing
+            if (!this.network.hasConnected) {
+                this.switchToOfflineMode();
+                return;
+            }
+
+            if (this.gameState.isPlaying) {
+                window.uiManager.addChatMessage('System', 'Connection lost, reconnecting...', true);
+            }
+        };
+
+        this.network.onReconnectFailed = () => {
+            window.uiManager.showError('Could not reconnect to server');
             this.switchToOfflineMode();
         };
 
+        this.network.onSessionExpired = () => {
+            this.gameState.isPlaying = false;
+            window.uiManager.showError('Your session expired, please join a room again');
+            window.uiManager.showScreen('room-screen');
+        };
+
+        this.network.onPlayerDisconnected = (data) => {
+            window.uiManager.addChatMessage('System', `${data.playerName} lost connection`, true);
+        };
+
+        this.network.onPlayerReconnected = (data) => {
+            window.uiManager.addChatMessage('System', `${data.playerName} reconnected`, true);
+        };
+
         this.network.onGameState = (state) => {
             this.updateGameState(state);
         };
 
+        this.network.onRoster = (data) => {
+            this.updateRoster(data.players);
+        };
+
+        this.network.onLatency = (data) => {
+            this.updateLatency(data.players);
+        };
+
         this.network.onRoomCreated = (data) => {
             console.log('Room created:', data.roomCode);
+            this.applyStadium(data.stadium || Stadium.CLASSIC, data.physics);
+            this.applyRoomInfo(data.room);
+            this.updateRoster(data.players);
             window.uiManager.showSuccess(`Room created: ${data.roomCode}`);
             window.uiManager.showScreen('game-screen');
             this.startGame();
@@ -105,7 +209,10 @@ class Game {
 
         this.network.onRoomJoined = (data) => {
             console.log('Joined room:', data.roomCode);
-            window.uiManager.showSuccess(`Joined room: ${data.roomCode}`);
+            this.applyStadium(data.stadium || Stadium.CLASSIC, data.physics);
+            this.applyRoomInfo(data.room);
+            this.updateRoster(data.players);
+            window.uiManager.showSuccess(data.resumed ? 'Reconnected' : `Joined room: ${data.roomCode}`);
             window.uiManager.showScreen('game-screen');
             this.startGame();
         };
@@ -114,11 +221,43 @@ class Game {
             window.uiManager.addChatMessage(data.playerName, data.message);
         };
 
+        this.network.onMatchStarted = () => {
+            window.uiManager.hideMatchResult();
+            window.uiManager.addChatMessage('System', 'Match started', true);
+        };
+
+        this.network.onGoal = (data) => {
+            window.uiManager.showGoalBanner(data);
+            window.uiManager.addChatMessage('System', `${UIManager.describeGoal(data)} ${data.score.red} - ${data.score.blue}`, true);
+        };
+
+        this.network.onMatchEnded = (data) => {
+            window.uiManager.showMatchResult(data);
+        };
+
+        this.network.onRoomInfo = (data) => {
+            const wasHost = this.isHost;
+            this.applyRoomInfo(data.room);
+            if (this.isHost && !wasHost) {
+                window.uiManager.addChatMessage('System', 'You are now the room host', true);
+            }
+        };
+
+        this.network.onPhysicsChanged = (data) => {
+            this.applyPhysics(data);
+            window.uiManager.addChatMessage('System', `Physics set to ${PhysicsEngine.PRESETS[data.preset].name}`, true);
+        };
+
         this.network.onError = (error) => {
             console.error('Network error:', error);
             window.uiManager.showError(error.message);
         };
 
+        this.network.onIncompatible = (error) => {
+            this.gameState.isPlaying = false;
+            window.uiManager.showReloadScreen(error.message);
+        };
+
         // Attempt to connect
         this.network.connect();
     }
@@ -127,6 +266,13 @@ class Game {
     switchToOfflineMode() {
         console.log('Switching to offline mode');
         this.isOffline = true;
+        this.isHost = false;
+
+        // Stop the old connection from reconnecting behind our back
+        if (this.network) {
+            this.network.disconnect();
+        }
+
         this.network = new OfflineNetworkManager();
         this.setupNetworkHandlers();
         this.network.connect();
@@ -135,30 +281,57 @@ class Game {
     // Setup network handlers for offline mode
     setupNetworkHandlers() {
         this.network.onRoomCreated = (data) => {
+            this.applyStadium(Stadium.CLASSIC);
             window.uiManager.showSuccess('Offline mode - Room created');
             window.uiManager.showScreen('game-screen');
             this.startGame();
         };
 
         this.network.onRoomJoined = (data) => {
+            this.applyStadium(Stadium.CLASSIC);
             window.uiManager.showSuccess('Offline mode - Game started');
             window.uiManager.showScreen('game-screen');
             this.startGame();
         };
     }
 
+    // Adapt input and interpolation timing to the room's tick and send rates
+    applyRoomInfo(room) {
+        if (!room) return;
+
+        this.isHost = room.hostId === this.network.getPlayerId();
+        this.updatePhysicsControl();
+
+        if (room.tickRate) {
+            this.inputInterval = 1000 / room.tickRate;
+            this.tickDuration = 1000 / room.tickRate;
+            this.prediction.setTickRate(room.tickRate);
+        }
+
+        // Stay about two snapshots behind so one late packet doesn't stall rendering
+        if (room.sendRate) {
+            this.snapshots.setInterpolationDelay(Math.round(2 * 1000 / room.sendRate));
+        }
+    }
+
     // Start the game
     startGame() {
         this.gameState.isPlaying = true;
         this.localPlayer.id = this.network.getPlayerId();
+        this.prediction.reset();
+        this.snapshots.reset();
+        this.inputAccumulator = 0;
+        this.matchState = null;
+        this.kickoffTeam = null;
+        window.uiManager.hideMatchResult();
         
         // Add local player to game state
         if (this.isOffline) {
             this.gameState.players.set(this.localPlayer.id, {
                 id: this.localPlayer.id,
                 nickname: window.uiManager.getNickname(),
-                x: 100,
-                y: 200,
+                x: this.stadium.width / 8,
+                y: this.stadium.center.y,
                 vx: 0,
                 vy: 0,
                 team: 'red'
@@ -199,18 +372,52 @@ class Game {
         // In offline mode, update physics locally
         if (this.isOffline) {
             this.updateOfflinePhysics(deltaTime);
+        } else {
+            this.updateInputFrames(deltaTime);
         }
 
-        // Send input to server
-        if (this.network && this.network.isConnected()) {
-            this.network.sendInput(this.localPlayer.input);
+        // Update game timer
+        if (this.isOffline) {
+            this.gameState.gameTime += deltaTime;
+            window.uiManager.updateTimer(this.gameState.gameTime);
+        } else {
+            window.uiManager.updateTimer(this.getMatchTime());
         }
+    }
 
-        // Update game timer
-        this.gameState.gameTime += deltaTime;
-        const minutes = Math.floor(this.gameState.gameTime / 60000);
-        const seconds = Math.floor((this.gameState.gameTime % 60000) / 1000);
-        window.uiManager.updateTimer(`${minutes}:${seconds.toString().padStart(2, '0')}`);
+    // Server match time, carried forward between snapshots while the clock runs
+    getMatchTime() {
+        const clock = this.network.clock;
+        if (!this.matchClock.running || !clock || !clock.isSynced()) {
+            return this.matchClock.gameTime;
+        }
+
+        const elapsed = clock.serverNow() - this.matchClock.serverTime;
+        return this.matchClock.gameTime + Math.min(Math.max(elapsed, 0), this.maxClockExtrapolation);
+    }
+
+    // Send input frames at a fixed rate and predict the local player
+    updateInputFrames(deltaTime) {
+        // Don't try to catch up after long stalls (e.g. background tab)
+        this.inputAccumulator = Math.min(this.inputAccumulator + deltaTime, this.inputInterval * 5);
+
+        while (this.inputAccumulator >= this.inputInterval) {
+            this.inputAccumulator -= this.inputInterval;
+            this.sendInputFrame();
+        }
+    }
+
+    // Send one input frame and apply it locally
+    sendInputFrame() {
+        if (!this.network || !this.network.isConnected()) return;
+
+        const frame = this.prediction.createFrame(this.localPlayer.input);
+        this.network.sendInput(frame);
+
+        const localPlayer = this.gameState.players.get(this.localPlayer.id);
+        if (localPlayer && localPlayer.team) {
+            this.prediction.applyFrame(localPlayer, frame);
+        }
     }
 
     // Update physics in offline mode
@@ -221,16 +428,29 @@ class Game {
         const localPlayer = this.gameState.players.get(this.localPlayer.id);
         if (localPlayer) {
             this.physics.updatePlayer(localPlayer, this.localPlayer.input, dt);
+            localPlayer.kicking = this.localPlayer.input.kick;
+
+            // Apply kick
+            const now = Date.now();
+            const kickRange = this.physics.playerRadius + this.physics.ballRadius + 5;
+            if (this.localPlayer.input.kick && now - this.localPlayer.lastKickTime >= this.kickCooldown &&
+                PhysicsEngine.distance(localPlayer, this.gameState.ball) <= kickRange) {
+                this.physics.applyKick(localPlayer, this.gameState.ball, this.kickStrength);
+                this.localPlayer.lastKickTime = now;
+            }
         }
 
         // Update ball
-        this.physics.updateBall(this.gameState.ball, dt);
+        this.physics.updateBall(this.gameState.ball, dt, Array.from(this.gameState.players.values()));
 
         // Check collisions
         this.gameState.players.forEach(player => {
             // Player-ball collision
-            if (this.physics.checkCollision(player, this.gameState.ball, 15, 10)) {
-                this.physics.resolveCollision(player, this.gameState.ball, 15, 10, 1, 0.5);
+            const playerRadius = this.physics.playerRadius;
+            const ballRadius = this.physics.ballRadius;
+            if (this.physics.checkCollision(player, this.gameState.ball, playerRadius, ballRadius)) {
+                this.physics.resolveCollision(player, this.gameState.ball, playerRadius, ballRadius,
+                    this.physics.playerMass, this.physics.ballMass);
             }
         });
 
@@ -253,106 +473,216 @@ class Game {
 
     // Update game state from server
     updateGameState(state) {
-        // Update players
+        // Buffer snapshot for interpolated rendering
+        this.snapshots.push(state);
+
+        // Update players (copies, since prediction mutates the local one)
         this.gameState.players.clear();
         state.players.forEach(player => {
-            this.gameState.players.set(player.id, player);
+            this.gameState.players.set(player.id, { ...this.roster.get(player.id), ...player });
         });
 
+        // Replay unacknowledged input on top of the server's local player
+        const localPlayer = this.gameState.players.get(this.localPlayer.id);
+        if (localPlayer && localPlayer.team && !this.isOffline) {
+            this.prediction.reconcile(localPlayer, state.lastInputSeq);
+        }
+
         // Update ball
         if (state.ball) {
-            this.gameState.ball = state.ball;
+            this.gameState.ball = { ...state.ball };
         }
 
+        // Update match clock
+        this.matchClock = {
+            gameTime: state.gameTime,
+            serverTime: state.serverTime,
+            running: state.clockRunning === true
+        };
+
+        // Update match state
+        if (state.matchState !== this.matchState) {
+            if (state.matchState === 'lobby') {
+                window.uiManager.hideMatchResult();
+                if (this.matchState && this.matchState !== 'finished') {
+                    window.uiManager.addChatMessage('System', 'Match stopped: waiting for players on both teams', true);
+                }
+            } else if (state.matchState === 'overtime') {
+                window.uiManager.addChatMessage('System', 'Golden goal! The next goal wins', true);
+            }
+            this.matchState = state.matchState;
+            this.updatePhysicsControl();
+        }
+        this.phaseEndTick = state.phaseEndTick;
+        this.kickoffTeam = state.kickoffTeam || null;
+        this.serverTick = state.tick;
+        this.prediction.setFrozen(state.matchState === 'countdown' || this.isKickoffFrozen());
+        this.prediction.setKickoff(this.kickoffTeam ? { team: this.kickoffTeam } : null);
+
         // Update score
         if (state.score) {
             this.gameState.score = state.score;
             window.uiManager.updateScore(state.score.red, state.score.blue);
         }
+    }
+
+    // Update nicknames and teams from server
+    updateRoster(players) {
+        if (!players) return;
+
+        // Build a fresh roster, keeping each player's last known ping
+        const roster = new Map();
+        players.forEach(player => {
+            const previous = this.roster.get(player.id);
+            roster.set(player.id, {
+                id: player.id,
+                nickname: player.nickname,
+                team: player.team,
+                connected: player.connected !== false,
+                ping: previous ? previous.ping : null
+            });
+        });
+        this.roster = roster;
+
+        // Apply to players already in the game state
+        this.gameState.players.forEach((player, id) => {
+            const entry = this.roster.get(id);
+            if (entry) {
+                player.nickname = entry.nickname;
+                player.team = entry.team;
+            }
+        });
 
         // Update player list
-        window.uiManager.updatePlayerList(Array.from(this.gameState.players.values()));
+        window.uiManager.updatePlayerList(Array.from(this.roster.values()));
         window.uiManager.updateRoomInfo(
             this.network.getCurrentRoom(),
-            this.gameState.players.size
+            this.roster.size
         );
     }
 
+    // Update per-player ping from server
+    updateLatency(players) {
+        if (!players) return;
+
+        players.forEach(player => {
+            const entry = this.roster.get(player.id);
+            if (entry) {
+                entry.ping = player.ping;
+            }
+        });
+
+        window.uiManager.updatePlayerList(Array.from(this.roster.values()));
+    }
+
     // Render the game
     render() {
         if (!this.ctx) return;
 
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.fieldWidth, this.fieldHeight);
+        // Clear canvas; drawing happens in field coordinates
+        this.ctx.clearRect(0, 0, this.view.width, this.view.height);
+        this.ctx.save();
+        this.ctx.translate(-this.view.x, -this.view.y);
 
         // Draw field
         this.drawField();
 
+        // Remote players and ball are drawn from the interpolation buffer
+        const view = this.isOffline ? null : this.snapshots.sample();
+
         // Draw players
         this.gameState.players.forEach(player => {
-            this.drawPlayer(player);
+            const remote = view && player.id !== this.localPlayer.id ? view.players.get(player.id) : null;
+            this.drawPlayer(remote ? { ...player, x: remote.x, y: remote.y } : player);
         });
 
         // Draw ball
-        this.drawBall(this.gameState.ball);
+        this.drawBall(view ? view.ball : this.gameState.ball);
 
         // Draw UI elements
         this.drawGameUI();
+        this.ctx.restore();
     }
 
     // Draw the soccer field
     drawField() {
         const ctx = this.ctx;
+        const stadium = this.stadium;
+        const colors = stadium.colors;
 
-        // Field background
-        ctx.fillStyle = '#2E7D32';
-        ctx.fillRect(0, 0, this.fieldWidth, this.fieldHeight);
+        // Field background, including the nets
+        ctx.fillStyle = colors.field;
+        ctx.fillRect(this.view.x, this.view.y, this.view.width, this.view.height);
 
         // Field lines
-        ctx.strokeStyle = 'white';
+        ctx.strokeStyle = colors.lines;
         ctx.lineWidth = 2;
 
         // Outer boundary
-        ctx.strokeRect(0, 0, this.fieldWidth, this.fieldHeight);
+        ctx.strokeRect(0, 0, stadium.width, stadium.height);
 
         // Center line
         ctx.beginPath();
-        ctx.moveTo(this.fieldWidth / 2, 0);
-        ctx.lineTo(this.fieldWidth / 2, this.fieldHeight);
+        ctx.moveTo(stadium.center.x, 0);
+        ctx.lineTo(stadium.center.x, stadium.height);
         ctx.stroke();
 
-        // Center circle
+        // Center circle, in the colour of the team taking the kickoff
         ctx.beginPath();
-        ctx.arc(this.fieldWidth / 2, this.fieldHeight / 2, 50, 0, Math.PI * 2);
+        ctx.arc(stadium.center.x, stadium.center.y, stadium.centerCircleRadius, 0, Math.PI * 2);
+        if (this.kickoffTeam) {
+            ctx.strokeStyle = colors[this.kickoffTeam];
+            ctx.lineWidth = 3;
+        }
         ctx.stroke();
-
-        // Goals
-        const goalTop = (this.fieldHeight - this.goalHeight) / 2;
-        
-        // Left goal
-        ctx.strokeRect(-20, goalTop, 20, this.goalHeight);
-        
-        // Right goal
-        ctx.strokeRect(this.fieldWidth, goalTop, 20, this.goalHeight);
+        ctx.strokeStyle = colors.lines;
+        ctx.lineWidth = 2;
 
         // Goal areas
-        ctx.strokeRect(0, goalTop - 20, 60, this.goalHeight + 40);
-        ctx.strokeRect(this.fieldWidth - 60, goalTop - 20, 60, this.goalHeight + 40);
+        const box = stadium.penaltyBox;
+        stadium.goals.forEach(goal => {
+            const left = stadium.goalDirection(goal) < 0 ? goal.x : goal.x - box.width;
+            const middle = (goal.top + goal.bottom) / 2;
+            ctx.strokeRect(left, middle - box.height / 2, box.width, box.height);
+        });
+
+        // Walls, including the nets
+        ctx.beginPath();
+        stadium.walls.forEach(wall => {
+            ctx.moveTo(wall.x1, wall.y1);
+            ctx.lineTo(wall.x2, wall.y2);
+        });
+        ctx.stroke();
+
+        stadium.arcs.forEach(arc => {
+            const start = arc.startAngle * Math.PI / 180;
+            const end = arc.endAngle * Math.PI / 180;
+            ctx.beginPath();
+            ctx.arc(arc.x, arc.y, arc.radius, start, end === start ? start + Math.PI * 2 : end);
+            ctx.stroke();
+        });
+
+        // Goal posts
+        ctx.fillStyle = colors.lines;
+        stadium.posts.forEach(post => {
+            ctx.beginPath();
+            ctx.arc(post.x, post.y, post.radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
     }
 
     // Draw a player
     drawPlayer(player) {
         const ctx = this.ctx;
+        const radius = this.physics.playerRadius;
 
         // Player circle
         ctx.beginPath();
-        ctx.arc(player.x, player.y, 15, 0, Math.PI * 2);
+        ctx.arc(player.x, player.y, radius, 0, Math.PI * 2);
         
         // Team colors
-        if (player.team === 'red') {
-            ctx.fillStyle = '#FF4444';
-        } else if (player.team === 'blue') {
-            ctx.fillStyle = '#4444FF';
+        if (player.team === 'red' || player.team === 'blue') {
+            ctx.fillStyle = this.stadium.colors[player.team];
         } else {
             ctx.fillStyle = '#888888';
         }
@@ -362,17 +692,36 @@ class Game {
         ctx.lineWidth = 2;
         ctx.stroke();
 
+        // Kicking ring
+        if (player.kicking) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(player.x, player.y, radius + 6, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
         // Player name
         ctx.fillStyle = 'white';
         ctx.font = '10px Arial';
-        ctx.fillText(player.nickname, player.x, player.y - 25);
+        ctx.fillText(player.nickname, player.x, player.y - radius - 10);
+
+        // Stamina bar under the disc, while not full
+        if (player.team && player.stamina !== undefined && player.stamina < 1) {
+            const barWidth = radius * 2;
+            const barY = player.y + radius + 8;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(player.x - radius, barY, barWidth, 4);
+            ctx.fillStyle = player.stamina > 0.25 ? '#FFD700' : '#FF8800';
+            ctx.fillRect(player.x - radius, barY, barWidth * player.stamina, 4);
+        }
 
         // Highlight local player
         if (player.id === this.localPlayer.id) {
             ctx.strokeStyle = '#FFD700';
             ctx.lineWidth = 3;
             ctx.beginPath();
-            ctx.arc(player.x, player.y, 18, 0, Math.PI * 2);
+            ctx.arc(player.x, player.y, radius + 3, 0, Math.PI * 2);
             ctx.stroke();
         }
     }
@@ -380,37 +729,86 @@ class Game {
     // Draw the ball
     drawBall(ball) {
         const ctx = this.ctx;
+        const radius = this.physics.ballRadius;
 
         // Ball shadow
         ctx.beginPath();
-        ctx.arc(ball.x + 2, ball.y + 2, 10, 0, Math.PI * 2);
+        ctx.arc(ball.x + 2, ball.y + 2, radius, 0, Math.PI * 2);
         ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
         ctx.fill();
 
         // Ball
         ctx.beginPath();
-        ctx.arc(ball.x, ball.y, 10, 0, Math.PI * 2);
+        ctx.arc(ball.x, ball.y, radius, 0, Math.PI * 2);
         ctx.fillStyle = 'white';
         ctx.fill();
         ctx.strokeStyle = 'black';
         ctx.lineWidth = 2;
         ctx.stroke();
 
-        // Ball pattern
+        // Ball pattern, turning with the ball's spin
+        ctx.save();
+        ctx.translate(ball.x, ball.y);
+        ctx.rotate(ball.angle || 0);
         ctx.strokeStyle = 'black';
         ctx.lineWidth = 1;
         ctx.beginPath();
-        ctx.moveTo(ball.x - 7, ball.y);
-        ctx.lineTo(ball.x + 7, ball.y);
-        ctx.moveTo(ball.x, ball.y - 7);
-        ctx.lineTo(ball.x, ball.y + 7);
+        const pattern = radius * 0.7;
+        ctx.moveTo(-pattern, 0);
+        ctx.lineTo(pattern, 0);
+        ctx.moveTo(0, -pattern);
+        ctx.lineTo(0, pattern);
         ctx.stroke();
+
+        // Off-centre dot so the rotation is visible on the symmetric cross
+        ctx.beginPath();
+        ctx.arc(pattern * 0.6, -pattern * 0.6, radius * 0.15, 0, Math.PI * 2);
+        ctx.fillStyle = 'black';
+        ctx.fill();
+        ctx.restore();
     }
 
     // Draw game UI elements
     drawGameUI() {
         // This can be used for additional canvas-based UI elements
         // Most UI is handled by HTML/CSS
+        const message = this.getMatchMessage();
+        if (!message) return;
+
+        const ctx = this.ctx;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, this.stadium.center.y - 30, this.stadium.width, 60);
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 28px Arial';
+        ctx.fillText(message, this.stadium.center.x, this.stadium.center.y);
+    }
+
+    // Banner text for the current match state, if any
+    getMatchMessage() {
+        switch (this.matchState) {
+            case 'lobby':
+                return 'Waiting for players on both teams';
+            case 'countdown':
+                return `Match starts in ${Math.ceil(this.getPhaseTimeLeft() / 1000)}`;
+            case 'kickoff':
+                return this.isKickoffFrozen() ? `Kickoff in ${Math.ceil(this.getPhaseTimeLeft() / 1000)}` : null;
+            default:
+                return null;
+        }
+    }
+
+    // Whether the kickoff freeze is still on at the latest snapshot
+    isKickoffFrozen() {
+        return this.matchState === 'kickoff' && this.phaseEndTick !== null && this.serverTick < this.phaseEndTick;
+    }
+
+    // Time left (ms) in the current timed phase, carried forward between snapshots
+    getPhaseTimeLeft() {
+        if (this.phaseEndTick === null) return 0;
+
+        const clock = this.network.clock;
+        const elapsed = clock && clock.isSynced() ? Math.max(0, clock.serverNow() - this.matchClock.serverTime) : 0;
+        return Math.max(0, (this.phaseEndTick - this.serverTick) * this.tickDuration - elapsed);
     }
 
     // Handle keyboard input
@@ -432,6 +830,14 @@ class Game {
             case 'KeyD':
                 this.localPlayer.input.right = true;
                 break;
+            case 'Space':
+            case 'KeyX':
+                this.localPlayer.input.kick = true;
+                break;
+            case 'ShiftLeft':
+            case 'ShiftRight':
+                this.localPlayer.input.sprint = true;
+                break;
         }
     }
 
@@ -453,6 +859,14 @@ class Game {
             case 'KeyD':
                 this.localPlayer.input.right = false;
                 break;
+            case 'Space':
+            case 'KeyX':
+                this.localPlayer.input.kick = false;
+                break;
+            case 'ShiftLeft':
+            case 'ShiftRight':
+                this.localPlayer.input.sprint = false;
+                break;
         }
     }
 
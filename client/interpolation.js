@@ -0,0 +1,167 @@
+// Snapshot interpolation for HaxBall Clone
+// Buffers timestamped server snapshots and renders remote players and the ball
+// a fixed delay behind server time, blending between the two surrounding snapshots.
+// Server time comes from the connection's ClockSync (see clock.js), the same
+// estimate the match clock uses.
+class SnapshotBuffer {
+    constructor(options = {}) {
+        this.interpolationDelay = options.interpolationDelay || 100; // ms behind server time
+        this.maxExtrapolation = options.maxExtrapolation || 100; // ms past newest snapshot
+        this.maxSnapshots = options.maxSnapshots || 60;
+        this.tickDuration = options.tickDuration || 1000 / 60; // velocities are per tick
+
+        this.snapshots = [];
+        this.clock = options.clock || null;
+    }
+
+    // Read server time from this clock (the network's ClockSync)
+    setClock(clock) {
+        this.clock = clock;
+    }
+
+    // Add snapshot received from server
+    push(state) {
+        if (typeof state.serverTime !== 'number') return;
+
+        // Ignore duplicates and out-of-order packets
+        const newest = this.snapshots[this.snapshots.length - 1];
+        if (newest && state.serverTime <= newest.serverTime) return;
+
+        const players = new Map();
+        state.players.forEach(player => {
+            players.set(player.id, { ...player });
+        });
+
+        this.snapshots.push({
+            serverTime: state.serverTime,
+            players: players,
+            ball: { ...state.ball }
+        });
+
+        if (this.snapshots.length > this.maxSnapshots) {
+            this.snapshots.shift();
+        }
+    }
+
+    // Change how far behind server time entities are rendered
+    setInterpolationDelay(delay) {
+        this.interpolationDelay = delay;
+    }
+
+    // Get interpolated players and ball for the given local time
+    sample(now = performance.now()) {
+        if (this.snapshots.length === 0) return null;
+
+        // Until the clock has synced, show the newest snapshot as it is
+        if (!this.clock || !this.clock.isSynced()) {
+            return this.copySnapshot(this.snapshots[this.snapshots.length - 1]);
+        }
+
+        const renderTime = this.clock.serverNow(now) - this.interpolationDelay;
+
+        // Drop snapshots that are fully behind render time
+        while (this.snapshots.length > 2 && this.snapshots[1].serverTime <= renderTime) {
+            this.snapshots.shift();
+        }
+
+        const oldest = this.snapshots[0];
+        const newest = this.snapshots[this.snapshots.length - 1];
+
+        if (renderTime <= oldest.serverTime) {
+            return this.copySnapshot(oldest);
+        }
+
+        if (renderTime >= newest.serverTime) {
+            return this.extrapolate(newest, renderTime - newest.serverTime);
+        }
+
+        const from = this.snapshots[0];
+        const to = this.snapshots[1];
+        const t = (renderTime - from.serverTime) / (to.serverTime - from.serverTime);
+
+        return this.interpolate(from, to, t);
+    }
+
+    // Blend two snapshots, t in [0, 1]
+    interpolate(from, to, t) {
+        const players = new Map();
+        to.players.forEach((player, id) => {
+            const previous = from.players.get(id);
+            players.set(id, previous ? SnapshotBuffer.lerpEntity(previous, player, t) : { ...player });
+        });
+
+        return {
+            players: players,
+            ball: SnapshotBuffer.lerpEntity(from.ball, to.ball, t)
+        };
+    }
+
+    // Project snapshot forward along velocities for a short time
+    extrapolate(snapshot, elapsed) {
+        const ticks = Math.min(elapsed, this.maxExtrapolation) / this.tickDuration;
+
+        const players = new Map();
+        snapshot.players.forEach((player, id) => {
+            players.set(id, SnapshotBuffer.projectEntity(player, ticks));
+        });
+
+        return {
+            players: players,
+            ball: SnapshotBuffer.projectEntity(snapshot.ball, ticks)
+        };
+    }
+
+    // Copy snapshot so renderers can't mutate the buffer
+    copySnapshot(snapshot) {
+        const players = new Map();
+        snapshot.players.forEach((player, id) => {
+            players.set(id, { ...player });
+        });
+
+        return {
+            players: players,
+            ball: { ...snapshot.ball }
+        };
+    }
+
+    // Clear buffered snapshots (new room or reconnect)
+    reset() {
+        this.snapshots = [];
+    }
+
+    // Linear interpolation of position (and rotation, the short way round)
+    static lerpEntity(from, to, t) {
+        const entity = {
+            ...to,
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t
+        };
+
+        if (from.angle !== undefined && to.angle !== undefined) {
+            const turn = Math.atan2(Math.sin(to.angle - from.angle), Math.cos(to.angle - from.angle));
+            entity.angle = from.angle + turn * t;
+        }
+
+        return entity;
+    }
+
+    // Move position along velocity, and rotation along spin
+    static projectEntity(entity, ticks) {
+        const projected = {
+            ...entity,
+            x: entity.x + (entity.vx || 0) * ticks,
+            y: entity.y + (entity.vy || 0) * ticks
+        };
+
+        if (entity.angle !== undefined) {
+            projected.angle = entity.angle + (entity.spin || 0) * ticks;
+        }
+
+        return projected;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotBuffer;
+}
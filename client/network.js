@@ -5,10 +5,32 @@ class NetworkManager {
         this.connected = false;
         this.playerId = null;
         this.roomCode = null;
-        this.serverUrl = 'ws://localhost:3000'; // Will be updated for production
+        this.ping = null; // round-trip time measured by the server (ms)
+        this.clock = new ClockSync();
+        this.clockSyncTimer = null;
+        this.clockSyncInterval = 5000;
+        this.clockSyncBurst = 5;
+        this.serverUrl = NetworkManager.getDefaultServerUrl();
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 2000;
+        this.reconnectDelay = 1000; // first retry, doubling up to maxReconnectDelay
+        this.maxReconnectDelay = 5000;
+        this.reconnectWindow = 30000; // the server holds a dropped session this long
+        this.reconnectStartedAt = null;
+        this.shouldReconnect = true;
+        this.hasConnected = false;
+
+        // Session for resuming after a dropped connection
+        this.sessionToken = null;
+        this.nickname = null;
+
+        // Hot-path encoding, switched to binary once the server agrees
+        this.codec = 'json';
+        this.preferredCodec = NetworkManager.getPreferredCodec();
+        this.idsBySlot = new Map();
+
+        // Decoded snapshots kept as delta baselines
+        this.snapshots = new Map();
+        this.maxSnapshots = 64;
         
         // Event callbacks
         this.onConnect = null;
@@ -16,16 +38,47 @@ class NetworkManager {
         this.onGameState = null;
         this.onPlayerJoined = null;
         this.onPlayerLeft = null;
+        this.onRoster = null;
+        this.onLatency = null;
+        this.onPlayerDisconnected = null;
+        this.onPlayerReconnected = null;
+        this.onSessionExpired = null;
+        this.onReconnectFailed = null;
         this.onChatMessage = null;
+        this.onMatchStarted = null;
+        this.onGoal = null;
+        this.onMatchEnded = null;
+        this.onPhysicsChanged = null;
+        this.onRoomInfo = null;
         this.onRoomCreated = null;
         this.onRoomJoined = null;
         this.onError = null;
+        this.onIncompatible = null;
+    }
+
+    // Plain WebSocket endpoint on the host serving the page, or local dev server
+    static getDefaultServerUrl() {
+        if (typeof window !== 'undefined' && /^https?:$/.test(window.location.protocol)) {
+            const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+            return `${protocol}//${window.location.host}/ws`;
+        }
+        return 'ws://localhost:3000/ws';
+    }
+
+    // Binary codec unless the page was opened with ?codec=json (debugging)
+    static getPreferredCodec() {
+        if (typeof window !== 'undefined' && /[?&]codec=json\b/.test(window.location.search)) {
+            return 'json';
+        }
+        return 'binary';
     }
 
     // Connect to server
     connect() {
         try {
+            this.codec = 'json';
             this.socket = new WebSocket(this.serverUrl);
+            this.socket.binaryType = 'arraybuffer';
             this.setupEventListeners();
         } catch (error) {
             console.error('Failed to connect to server:', error);
@@ -38,14 +91,31 @@ class NetworkManager {
         this.socket.onopen = () => {
             console.log('Connected to server');
             this.connected = true;
+            this.hasConnected = true;
             this.reconnectAttempts = 0;
+            this.reconnectStartedAt = null;
             this.updateConnectionStatus('connected');
+            this.send('hello', {
+                version: Protocol.VERSION,
+                features: {
+                    binaryCodec: this.preferredCodec === 'binary',
+                    deltaSnapshots: true
+                }
+            });
+
+            // Pick up where we left off after a dropped connection
+            if (this.sessionToken) {
+                this.send('resumeSession', { token: this.sessionToken });
+            }
+
             if (this.onConnect) this.onConnect();
         };
 
         this.socket.onclose = () => {
             console.log('Disconnected from server');
             this.connected = false;
+            this.ping = null;
+            this.stopClockSync();
             this.updateConnectionStatus('disconnected');
             if (this.onDisconnect) this.onDisconnect();
             this.attemptReconnect();
@@ -58,6 +128,11 @@ class NetworkManager {
 
         this.socket.onmessage = (event) => {
             try {
+                if (event.data instanceof ArrayBuffer) {
+                    this.handleBinaryMessage(event.data);
+                    return;
+                }
+
                 const data = JSON.parse(event.data);
                 this.handleMessage(data);
             } catch (error) {
@@ -69,8 +144,59 @@ class NetworkManager {
     // Handle incoming messages
     handleMessage(data) {
         switch (data.type) {
-            case 'gameState':
-                if (this.onGameState) this.onGameState(data.payload);
+            case 'gameState': {
+                const state = this.decodeSnapshot(data.payload);
+                if (state && this.onGameState) this.onGameState(state);
+                break;
+            }
+
+            case 'roster':
+                data.payload.players.forEach(player => {
+                    this.idsBySlot.set(player.slot, player.id);
+                });
+                if (this.onRoster) this.onRoster(data.payload);
+                break;
+
+            case 'welcome':
+                this.codec = data.payload.features.binaryCodec ? 'binary' : 'json';
+                this.startClockSync();
+                break;
+
+            case 'timeSync':
+                this.clock.handleResponse(data.payload);
+                break;
+
+            case 'ping':
+                // Echo right away so the server can time the round trip
+                this.send('pong', { id: data.payload.id });
+                if (data.payload.ping) {
+                    this.ping = data.payload.ping;
+                    this.updateConnectionStatus('connected');
+                }
+                break;
+
+            case 'latency':
+                if (this.onLatency) this.onLatency(data.payload);
+                break;
+
+            case 'session':
+                this.sessionToken = data.payload.token;
+                break;
+
+            case 'sessionExpired':
+                // Too late to resume: come back as a fresh player
+                this.sessionToken = null;
+                this.roomCode = null;
+                if (this.nickname) this.joinGame(this.nickname);
+                if (this.onSessionExpired) this.onSessionExpired(data.payload);
+                break;
+
+            case 'playerDisconnected':
+                if (this.onPlayerDisconnected) this.onPlayerDisconnected(data.payload);
+                break;
+
+            case 'playerReconnected':
+                if (this.onPlayerReconnected) this.onPlayerReconnected(data.payload);
                 break;
             
             case 'playerJoined':
@@ -84,22 +210,59 @@ class NetworkManager {
             case 'chatMessage':
                 if (this.onChatMessage) this.onChatMessage(data.payload);
                 break;
+
+            case 'matchStarted':
+                if (this.onMatchStarted) this.onMatchStarted(data.payload);
+                break;
+
+            case 'goal':
+                if (this.onGoal) this.onGoal(data.payload);
+                break;
+
+            case 'matchEnded':
+                if (this.onMatchEnded) this.onMatchEnded(data.payload);
+                break;
+
+            case 'physicsChanged':
+                if (this.onPhysicsChanged) this.onPhysicsChanged(data.payload);
+                break;
+
+            case 'roomInfo':
+                if (this.onRoomInfo) this.onRoomInfo(data.payload);
+                break;
             
             case 'roomCreated':
                 this.roomCode = data.payload.roomCode;
+                this.snapshots.clear();
+                this.idsBySlot.clear();
                 if (this.onRoomCreated) this.onRoomCreated(data.payload);
                 break;
             
             case 'roomJoined':
                 this.roomCode = data.payload.roomCode;
+                this.snapshots.clear();
+                this.idsBySlot.clear();
                 if (this.onRoomJoined) this.onRoomJoined(data.payload);
                 break;
             
             case 'error':
-                console.error('Server error:', data.payload.message);
+                console.error('Server error:', data.payload.code, data.payload.detail || data.payload.message);
+
+                // Reconnecting would be refused again; only a reload helps
+                if (data.payload.code === Protocol.ERRORS.INCOMPATIBLE_CLIENT) {
+                    this.shouldReconnect = false;
+                    this.sessionToken = null;
+                    if (this.onIncompatible) this.onIncompatible(data.payload);
+                    break;
+                }
+
                 if (this.onError) this.onError(data.payload);
                 break;
             
+            case 'warning':
+                console.warn('Server warning:', data.payload.code, data.payload.detail || data.payload.message);
+                break;
+
             case 'playerId':
                 this.playerId = data.payload.id;
                 break;
@@ -109,6 +272,40 @@ class NetworkManager {
         }
     }
 
+    // Handle binary message (only snapshots come from the server)
+    handleBinaryMessage(buffer) {
+        if (BinaryCodec.messageType(buffer) !== BinaryCodec.MESSAGE_SNAPSHOT) {
+            console.warn('Unknown binary message type:', BinaryCodec.messageType(buffer));
+            return;
+        }
+
+        this.handleMessage({
+            type: 'gameState',
+            payload: BinaryCodec.decodeSnapshot(buffer, this.idsBySlot)
+        });
+    }
+
+    // Rebuild full snapshot from a delta and acknowledge it
+    decodeSnapshot(message) {
+        let state = message;
+
+        if (message.baseline !== null) {
+            const baseline = this.snapshots.get(message.baseline);
+            if (!baseline) {
+                // Lost our baseline, ask for a full snapshot
+                this.send('snapshotAck', { snapshot: null });
+                return null;
+            }
+            state = SnapshotDelta.decode(baseline, message);
+        }
+
+        this.snapshots.set(state.snapshot, state);
+        this.snapshots.delete(state.snapshot - this.maxSnapshots);
+        this.send('snapshotAck', { snapshot: state.snapshot });
+
+        return state;
+    }
+
     // Send message to server
     send(type, payload = {}) {
         if (!this.connected || !this.socket) {
@@ -116,6 +313,13 @@ class NetworkManager {
             return false;
         }
 
+        // Catch bad payloads here rather than as a server error
+        const reason = Protocol.validate(type, payload);
+        if (reason) {
+            console.error(`Not sending invalid ${type}: ${reason}`);
+            return false;
+        }
+
         try {
             const message = JSON.stringify({ type, payload });
             this.socket.send(message);
@@ -126,14 +330,51 @@ class NetworkManager {
         }
     }
 
+    // Send binary message to server
+    sendBinary(buffer) {
+        if (!this.connected || !this.socket) {
+            console.warn('Cannot send message: not connected');
+            return false;
+        }
+
+        try {
+            this.socket.send(buffer);
+            return true;
+        } catch (error) {
+            console.error('Failed to send message:', error);
+            return false;
+        }
+    }
+
+    // Estimate the server clock: a quick burst of samples, then periodic refreshes
+    startClockSync() {
+        this.stopClockSync();
+        this.clock.reset();
+
+        let sent = 0;
+        const sync = () => {
+            this.send('timeSync', this.clock.createRequest());
+            sent++;
+            this.clockSyncTimer = setTimeout(sync, sent < this.clockSyncBurst ? 200 : this.clockSyncInterval);
+        };
+        sync();
+    }
+
+    // Stop clock sync requests
+    stopClockSync() {
+        clearTimeout(this.clockSyncTimer);
+        this.clockSyncTimer = null;
+    }
+
     // Join game with nickname
     joinGame(nickname) {
+        this.nickname = nickname;
         return this.send('joinGame', { nickname });
     }
 
     // Create new room
-    createRoom() {
-        return this.send('createRoom');
+    createRoom(settings = {}) {
+        return this.send('createRoom', { settings });
     }
 
     // Join existing room
@@ -143,6 +384,9 @@ class NetworkManager {
 
     // Send player input
     sendInput(input) {
+        if (this.codec === 'binary' && typeof input.seq === 'number') {
+            return this.sendBinary(BinaryCodec.encodeInput(input));
+        }
         return this.send('playerInput', input);
     }
 
@@ -161,24 +405,39 @@ class NetworkManager {
         return this.send('switchTeam', { team });
     }
 
+    // Pick the room's physics preset (host only)
+    setPhysics(preset, config) {
+        return this.send('setPhysics', config ? { preset, config } : { preset });
+    }
+
     // Get public rooms list
     getPublicRooms() {
         return this.send('getPublicRooms');
     }
 
-    // Attempt to reconnect
+    // Attempt to reconnect with backoff, for as long as the server keeps our session
     attemptReconnect() {
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.log('Max reconnection attempts reached');
+        if (!this.shouldReconnect) return;
+
+        if (this.reconnectStartedAt === null) {
+            this.reconnectStartedAt = Date.now();
+        }
+
+        const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * Math.pow(2, this.reconnectAttempts));
+        if (Date.now() - this.reconnectStartedAt + delay > this.reconnectWindow) {
+            console.log('Giving up reconnecting');
+            this.reconnectStartedAt = null;
+            if (this.onReconnectFailed) this.onReconnectFailed();
             return;
         }
 
         this.reconnectAttempts++;
-        console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+        console.log(`Attempting to reconnect (attempt ${this.reconnectAttempts}, in ${delay} ms)...`);
+        this.updateConnectionStatus('connecting');
         
         setTimeout(() => {
             this.connect();
-        }, this.reconnectDelay);
+        }, delay);
     }
 
     // Handle connection errors
@@ -201,7 +460,7 @@ class NetworkManager {
             
             switch (status) {
                 case 'connected':
-                    statusText.textContent = 'Connected';
+                    statusText.textContent = this.ping !== null ? `Connected · ${this.ping} ms` : 'Connected';
                     break;
                 case 'disconnected':
                     statusText.textContent = 'Disconnected';
@@ -217,6 +476,10 @@ class NetworkManager {
 
     // Disconnect from server
     disconnect() {
+        this.shouldReconnect = false;
+        this.sessionToken = null;
+        this.stopClockSync();
+
         if (this.socket) {
             this.socket.close();
             this.socket = null;
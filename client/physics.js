@@ -1,13 +1,50 @@
 // Physics Engine for HaxBall Clone
 class PhysicsEngine {
-    constructor() {
+    // The stadium (see stadium.js) supplies the field geometry; config holds the
+    // tuning values (see createConfig) and defaults to the stadium's own
+    constructor(stadium, config = stadium.physics) {
+        this.stadium = stadium;
         this.gravity = 0;
-        this.friction = 0.98;
-        this.bounceRestitution = 0.8;
-        this.playerRadius = 15;
-        this.ballRadius = 10;
-        this.maxSpeed = 5;
-        this.acceleration = 0.5;
+        this.friction = config.friction;
+        this.bounceRestitution = config.bounceRestitution;
+        this.playerRadius = config.playerRadius;
+        this.ballRadius = config.ballRadius;
+        this.playerMass = config.playerMass;
+        this.ballMass = config.ballMass;
+        this.maxSpeed = config.maxSpeed;
+        this.acceleration = config.acceleration;
+
+        // Ball spin (radians per 60Hz step, positive turning from +x towards +y)
+        this.kickSpin = 0.5; // share of the kicker's sideways speed that becomes surface spin
+        this.magnusStrength = 0.04; // sideways pull per unit of spin and speed
+        this.spinDecay = 0.985; // per 60Hz step
+        this.spinGrip = 0.4; // share of surface slip walls take out on a bounce
+
+        // Sprint (stamina runs from 0 to 1)
+        this.sprintAcceleration = 1.6; // acceleration multiplier while sprinting
+        this.sprintSpeed = 1.5; // top speed multiplier while sprinting
+        this.staminaDrain = 1 / 150; // per 60Hz step of sprinting (2.5 s from full)
+        this.staminaRegen = 1 / 360; // per 60Hz step without sprinting (6 s to refill)
+
+        // Fast balls move in substeps of at most this distance (see updateBall)
+        this.substepDistance = this.ballRadius / 2;
+        this.maxSubsteps = 16;
+    }
+
+    // Room physics config: the stadium's values, then a named preset, then the
+    // host's own overrides (clamped to CONFIG_LIMITS)
+    static createConfig(base, presetName = 'classic', overrides = {}) {
+        const preset = PhysicsEngine.PRESETS[presetName] || PhysicsEngine.PRESETS.classic;
+        const config = {};
+
+        Object.keys(PhysicsEngine.CONFIG_LIMITS).forEach(key => {
+            const [min, max] = PhysicsEngine.CONFIG_LIMITS[key];
+            const value = Number.isFinite(overrides[key]) ? overrides[key]
+                : preset.values[key] !== undefined ? preset.values[key] : base[key];
+            config[key] = Math.min(max, Math.max(min, value));
+        });
+
+        return config;
     }
 
     // Vector operations
@@ -30,104 +67,400 @@ class PhysicsEngine {
         return v1.x * v2.x + v1.y * v2.y;
     }
 
-    // Update player physics
-    updatePlayer(player, input, deltaTime) {
+    // Copy simulation state so stepping never mutates the caller's objects
+    static cloneState(state) {
+        return {
+            tick: state.tick,
+            players: state.players.map(player => ({ ...player })),
+            ball: { ...state.ball }
+        };
+    }
+
+    // Advance the simulation by one fixed tick.
+    // Pure function of (state, inputs, rules): returns the next state and the
+    // events that happened during the tick, leaving the arguments untouched.
+    //   state:  { tick, players: [{ id, team, x, y, vx, vy, stamina, lastKickTick }], ball: { x, y, vx, vy, spin, angle } }
+    //           lastKickTick may be -Infinity for players that never kicked
+    //   inputs: { [playerId]: { up, down, left, right, kick, sprint } }
+    //   rules:  { dt, kickStrength, kickCooldownTicks, kickoff }, dt is the tick length in 60Hz steps,
+    //           kickoff is { team } while players are held behind the stadium's kickoff barriers
+    //   events: { kicks: [ids], touches: [ids of players touching the ball], goal: team or null }
+    step(state, inputs, rules = {}) {
+        const next = PhysicsEngine.cloneState(state);
+        const events = { kicks: [], touches: [], goal: null };
+        const dt = rules.dt || 1;
+        const kickoff = rules.kickoff || null;
+        const kickStrength = rules.kickStrength || 8;
+        const kickCooldownTicks = rules.kickCooldownTicks || 0;
+        const kickRange = this.playerRadius + this.ballRadius + 5;
+
+        next.tick = state.tick + 1;
+        const players = next.players.filter(player => player.team);
+
+        // Move players
+        players.forEach(player => {
+            this.updatePlayer(player, inputs[player.id] || PhysicsEngine.EMPTY_INPUT, dt, kickoff);
+        });
+
+        // Apply kicks
+        players.forEach(player => {
+            const input = inputs[player.id];
+            if (!input || !input.kick) return;
+            if (next.tick - player.lastKickTick < kickCooldownTicks) return;
+            if (PhysicsEngine.distance(player, next.ball) > kickRange) return;
+
+            this.applyKick(player, next.ball, kickStrength);
+            player.lastKickTick = next.tick;
+            events.kicks.push(player.id);
+        });
+
+        // Move ball, sweeping it against the players
+        const hits = this.updateBall(next.ball, dt, players);
+
+        // Resolve collisions; players the ball hit on the way and kickers touched it too
+        events.touches = this.resolveCollisions(players, next.ball);
+        hits.concat(events.kicks).forEach(id => {
+            if (!events.touches.includes(id)) events.touches.push(id);
+        });
+
+        // Check for goals
+        events.goal = this.checkGoal(next.ball);
+
+        return { state: next, events: events };
+    }
+
+    // Resolve player-ball and player-player collisions, returning ids of players that touched the ball
+    resolveCollisions(players, ball) {
+        const touches = [];
+
+        // Player-ball collisions
+        players.forEach(player => {
+            if (this.checkCollision(player, ball, this.playerRadius, this.ballRadius)) {
+                this.resolveCollision(player, ball, this.playerRadius, this.ballRadius, this.playerMass, this.ballMass);
+                touches.push(player.id);
+            }
+        });
+
+        // Player-player collisions
+        for (let i = 0; i < players.length; i++) {
+            for (let j = i + 1; j < players.length; j++) {
+                const player1 = players[i];
+                const player2 = players[j];
+
+                if (this.checkCollision(player1, player2, this.playerRadius, this.playerRadius)) {
+                    this.resolveCollision(player1, player2, this.playerRadius, this.playerRadius, this.playerMass, this.playerMass);
+                }
+            }
+        }
+
+        return touches;
+    }
+
+    // Update player physics (deltaTime in 60Hz steps)
+    updatePlayer(player, input, deltaTime, kickoff = null) {
+        // Sprinting drains stamina; it comes back while walking or standing
+        const sprinting = this.updateStamina(player, input, deltaTime);
+        const maxSpeed = sprinting ? this.maxSpeed * this.sprintSpeed : this.maxSpeed;
+
         // Apply input forces
-        if (input.up) player.vy -= this.acceleration;
-        if (input.down) player.vy += this.acceleration;
-        if (input.left) player.vx -= this.acceleration;
-        if (input.right) player.vx += this.acceleration;
+        const acceleration = this.acceleration * (sprinting ? this.sprintAcceleration : 1) * deltaTime;
+        if (input.up) player.vy -= acceleration;
+        if (input.down) player.vy += acceleration;
+        if (input.left) player.vx -= acceleration;
+        if (input.right) player.vx += acceleration;
 
         // Limit max speed
         const speed = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
-        if (speed > this.maxSpeed) {
-            player.vx = (player.vx / speed) * this.maxSpeed;
-            player.vy = (player.vy / speed) * this.maxSpeed;
+        if (speed > maxSpeed) {
+            player.vx = (player.vx / speed) * maxSpeed;
+            player.vy = (player.vy / speed) * maxSpeed;
         }
 
         // Apply friction
-        player.vx *= this.friction;
-        player.vy *= this.friction;
+        const friction = Math.pow(this.friction, deltaTime);
+        player.vx *= friction;
+        player.vy *= friction;
 
         // Update position
+        const previous = { x: player.x, y: player.y };
         player.x += player.vx * deltaTime;
         player.y += player.vy * deltaTime;
 
         // Keep player in bounds
-        this.constrainToBounds(player, this.playerRadius);
+        this.constrainToBounds(player, this.playerRadius, PhysicsEngine.getPlayerGroups(player, kickoff), previous);
     }
 
-    // Update ball physics
-    updateBall(ball, deltaTime) {
+    // Drain or refill the player's stamina, returning whether they sprint this step.
+    // Holding sprint on an empty pool doesn't refill it, so sprint has to be let go.
+    updateStamina(player, input, deltaTime) {
+        const stamina = player.stamina !== undefined ? player.stamina : 1;
+        const moving = input.up || input.down || input.left || input.right;
+
+        if (input.sprint && moving) {
+            player.stamina = Math.max(0, stamina - this.staminaDrain * deltaTime);
+            return stamina > 0;
+        }
+
+        player.stamina = Math.min(1, stamina + this.staminaRegen * deltaTime);
+        return false;
+    }
+
+    // Update ball physics (deltaTime in 60Hz steps). A fast ball moves in substeps
+    // of at most substepDistance, each swept against the players, so a hard shot
+    // can't pass through a player or clip a wall edge between two ticks. Returns
+    // ids of the players the ball hit on the way.
+    updateBall(ball, deltaTime, players = []) {
         // Apply friction
-        ball.vx *= this.friction;
-        ball.vy *= this.friction;
+        const friction = Math.pow(this.friction, deltaTime);
+        ball.vx *= friction;
+        ball.vy *= friction;
+
+        // Curve: spin pulls the ball sideways (Magnus effect), then wears off
+        const spin = ball.spin || 0;
+        const curve = spin * this.magnusStrength * deltaTime;
+        const vx = ball.vx;
+        ball.vx -= ball.vy * curve;
+        ball.vy += vx * curve;
+        ball.spin = spin * Math.pow(this.spinDecay, deltaTime);
+        ball.angle = PhysicsEngine.wrapAngle((ball.angle || 0) + ball.spin * deltaTime);
+
+        const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+        const substeps = Math.min(this.maxSubsteps, Math.max(1, Math.ceil(speed * deltaTime / this.substepDistance)));
+        const substepTime = deltaTime / substeps;
+        const hits = [];
+
+        for (let i = 0; i < substeps; i++) {
+            // Update position
+            const previous = { x: ball.x, y: ball.y };
+            this.sweepBall(ball, substepTime, players, hits);
+
+            // Keep ball in bounds
+            this.constrainToBounds(ball, this.ballRadius, ['ball'], previous);
+        }
 
-        // Update position
-        ball.x += ball.vx * deltaTime;
-        ball.y += ball.vy * deltaTime;
-
-        // Keep ball in bounds
-        this.constrainToBounds(ball, this.ballRadius);
-    }
-
-    // Constrain object to field bounds
-    constrainToBounds(obj, radius) {
-        const fieldWidth = 800;
-        const fieldHeight = 400;
-        const goalWidth = 100;
-        const goalHeight = 80;
-        const goalDepth = 20;
-
-        // Left and right walls (with goal openings)
-        if (obj.x - radius < 0) {
-            // Check if in goal area
-            const goalTop = (fieldHeight - goalHeight) / 2;
-            const goalBottom = goalTop + goalHeight;
-            
-            if (obj.y >= goalTop && obj.y <= goalBottom) {
-                // In goal area - allow deeper penetration
-                if (obj.x - radius < -goalDepth) {
-                    obj.x = -goalDepth + radius;
-                    obj.vx = Math.abs(obj.vx) * this.bounceRestitution;
+        return hits;
+    }
+
+    // Move the ball for dt, bouncing off the first player in its path
+    sweepBall(ball, dt, players, hits) {
+        const move = { x: ball.vx * dt, y: ball.vy * dt };
+        const minDistance = this.playerRadius + this.ballRadius;
+        let hitPlayer = null;
+        let hitTime = 1;
+
+        players.forEach(player => {
+            const time = PhysicsEngine.timeOfImpact(ball, move, player, minDistance);
+            if (time !== null && time < hitTime) {
+                hitPlayer = player;
+                hitTime = time;
+            }
+        });
+
+        ball.x += move.x * hitTime;
+        ball.y += move.y * hitTime;
+        if (!hitPlayer) return;
+
+        // Bounce at the point of contact and spend the rest of dt on the new velocity
+        const normal = PhysicsEngine.normalize({ x: ball.x - hitPlayer.x, y: ball.y - hitPlayer.y });
+        this.applyImpulse(hitPlayer, ball, normal, this.playerMass, this.ballMass);
+        if (!hits.includes(hitPlayer.id)) hits.push(hitPlayer.id);
+
+        ball.x += ball.vx * dt * (1 - hitTime);
+        ball.y += ball.vy * dt * (1 - hitTime);
+    }
+
+    // Fraction of `move` after which a circle moving from `obj` first touches a
+    // static circle at `other` (centers minDistance apart), or null if it doesn't
+    // within the move. Objects that already overlap are left to resolveCollision.
+    static timeOfImpact(obj, move, other, minDistance) {
+        const dx = obj.x - other.x;
+        const dy = obj.y - other.y;
+
+        // |d + move * t| = minDistance, solved for the smaller t
+        const a = move.x * move.x + move.y * move.y;
+        const b = 2 * (dx * move.x + dy * move.y);
+        const c = dx * dx + dy * dy - minDistance * minDistance;
+        if (a === 0 || c <= 0 || b >= 0) return null;
+
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+
+        const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return time <= 1 ? time : null;
+    }
+
+    // Keep an object off the stadium walls, arcs and posts that block one of its
+    // collision groups (see getPlayerGroups). `previous` is where the object was
+    // before this move, so an object that got past a wall within one tick is put
+    // back on the side it came from.
+    constrainToBounds(obj, radius, groups, previous = null) {
+        const blocks = collider => !collider.mask || collider.mask.some(group => groups.includes(group));
+
+        this.stadium.walls.concat(this.stadium.kickoffBarriers.walls).filter(blocks).forEach(wall => {
+            this.collideWall(obj, radius, wall, previous);
+        });
+
+        this.stadium.arcs.concat(this.stadium.kickoffBarriers.arcs).filter(blocks).forEach(arc => {
+            this.collideArc(obj, radius, arc, previous);
+        });
+
+        this.stadium.posts.filter(blocks).forEach(post => {
+            this.collidePoint(obj, post, radius + post.radius, this.getBounce(post));
+        });
+    }
+
+    // Collision groups of a team player. While a kickoff is pending players also
+    // get the groups the kickoff barriers block: `<team>Kickoff`, plus
+    // kickoffDefender for the team without possession.
+    static getPlayerGroups(player, kickoff = null) {
+        const groups = ['player', player.team];
+
+        if (kickoff && player.team) {
+            groups.push(player.team + 'Kickoff');
+            if (player.team !== kickoff.team) groups.push('kickoffDefender');
+        }
+
+        return groups;
+    }
+
+    // Bounce an object off a wall segment
+    collideWall(obj, radius, wall, previous) {
+        const sx = wall.x2 - wall.x1;
+        const sy = wall.y2 - wall.y1;
+        const length = Math.sqrt(sx * sx + sy * sy);
+        if (length === 0) return;
+
+        // Signed distance from the wall's line, positive on its left
+        const side = point => (sx * (point.y - wall.y1) - sy * (point.x - wall.x1)) / length;
+
+        if (previous) {
+            const before = side(previous);
+            const after = side(obj);
+
+            if (before * after < 0) {
+                // Where the path crossed the line, along the segment
+                const u = before / (before - after);
+                const hitX = previous.x + (obj.x - previous.x) * u;
+                const hitY = previous.y + (obj.y - previous.y) * u;
+                const t = ((hitX - wall.x1) * sx + (hitY - wall.y1) * sy) / (length * length);
+
+                if (t >= 0 && t <= 1) {
+                    const direction = before > 0 ? 1 : -1;
+                    const normal = { x: -sy / length * direction, y: sx / length * direction };
+                    const push = radius - after * direction;
+
+                    obj.x += normal.x * push;
+                    obj.y += normal.y * push;
+                    this.bounce(obj, normal, this.getBounce(wall));
+                    return;
                 }
-            } else {
-                // Hit wall
-                obj.x = radius;
-                obj.vx = Math.abs(obj.vx) * this.bounceRestitution;
             }
         }
 
-        if (obj.x + radius > fieldWidth) {
-            // Check if in goal area
-            const goalTop = (fieldHeight - goalHeight) / 2;
-            const goalBottom = goalTop + goalHeight;
-            
-            if (obj.y >= goalTop && obj.y <= goalBottom) {
-                // In goal area
-                if (obj.x + radius > fieldWidth + goalDepth) {
-                    obj.x = fieldWidth + goalDepth - radius;
-                    obj.vx = -Math.abs(obj.vx) * this.bounceRestitution;
+        // Closest point on the segment
+        const t = Math.max(0, Math.min(1, ((obj.x - wall.x1) * sx + (obj.y - wall.y1) * sy) / (length * length)));
+        const closest = { x: wall.x1 + sx * t, y: wall.y1 + sy * t };
+        this.collidePoint(obj, closest, radius, this.getBounce(wall));
+    }
+
+    // Bounce an object off a circular arc (angles in degrees, clockwise from +x)
+    collideArc(obj, radius, arc, previous) {
+        const start = arc.startAngle * Math.PI / 180;
+        const sweep = PhysicsEngine.wrapAngle((arc.endAngle - arc.startAngle) * Math.PI / 180) || Math.PI * 2;
+        const onArc = angle => PhysicsEngine.wrapAngle(angle - start) <= sweep;
+
+        if (previous) {
+            const before = PhysicsEngine.distance(previous, arc) - arc.radius;
+            const after = PhysicsEngine.distance(obj, arc) - arc.radius;
+
+            if (before * after < 0) {
+                // Where the path crossed the circle
+                const u = before / (before - after);
+                const hitX = previous.x + (obj.x - previous.x) * u;
+                const hitY = previous.y + (obj.y - previous.y) * u;
+
+                if (onArc(Math.atan2(hitY - arc.y, hitX - arc.x))) {
+                    const outward = PhysicsEngine.normalize({ x: hitX - arc.x, y: hitY - arc.y });
+                    const direction = before > 0 ? 1 : -1;
+                    const target = arc.radius + radius * direction;
+
+                    obj.x = arc.x + outward.x * target;
+                    obj.y = arc.y + outward.y * target;
+                    this.bounce(obj, { x: outward.x * direction, y: outward.y * direction }, this.getBounce(arc));
+                    return;
                 }
-            } else {
-                // Hit wall
-                obj.x = fieldWidth - radius;
-                obj.vx = -Math.abs(obj.vx) * this.bounceRestitution;
             }
         }
 
-        // Top and bottom walls
-        if (obj.y - radius < 0) {
-            obj.y = radius;
-            obj.vy = Math.abs(obj.vy) * this.bounceRestitution;
+        // Closest point on the arc: straight out from the center, or the nearer end
+        const angle = Math.atan2(obj.y - arc.y, obj.x - arc.x);
+        let closest;
+        if (onArc(angle)) {
+            closest = { x: arc.x + Math.cos(angle) * arc.radius, y: arc.y + Math.sin(angle) * arc.radius };
+        } else {
+            const ends = [start, start + sweep].map(end => ({
+                x: arc.x + Math.cos(end) * arc.radius,
+                y: arc.y + Math.sin(end) * arc.radius
+            }));
+            closest = PhysicsEngine.distance(obj, ends[0]) <= PhysicsEngine.distance(obj, ends[1]) ? ends[0] : ends[1];
         }
 
-        if (obj.y + radius > fieldHeight) {
-            obj.y = fieldHeight - radius;
-            obj.vy = -Math.abs(obj.vy) * this.bounceRestitution;
+        this.collidePoint(obj, closest, radius, this.getBounce(arc));
+    }
+
+    // Push an object out to minDistance from a fixed point (a post or the closest
+    // point of a wall) and bounce it
+    collidePoint(obj, point, minDistance, restitution) {
+        const dx = obj.x - point.x;
+        const dy = obj.y - point.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance >= minDistance || distance === 0) return;
+
+        const normal = { x: dx / distance, y: dy / distance };
+        obj.x = point.x + normal.x * minDistance;
+        obj.y = point.y + normal.y * minDistance;
+        this.bounce(obj, normal, restitution);
+    }
+
+    // Reflect the velocity component going into a surface with the given normal
+    bounce(obj, normal, restitution) {
+        const velocityAlongNormal = obj.vx * normal.x + obj.vy * normal.y;
+        if (velocityAlongNormal >= 0) return;
+
+        const impulse = (1 + restitution) * velocityAlongNormal;
+        obj.vx -= impulse * normal.x;
+        obj.vy -= impulse * normal.y;
+
+        if (obj.spin !== undefined) {
+            this.bounceSpin(obj, normal);
         }
     }
 
+    // Friction at the contact point of a spinning ball: the surface slip (sliding
+    // plus spin) is partly traded between spin and sideways speed, so a spinning
+    // ball kicks off a wall at an angle and a sliding one starts to roll
+    bounceSpin(ball, normal) {
+        const tangent = { x: -normal.y, y: normal.x };
+        const slip = ball.vx * tangent.x + ball.vy * tangent.y - ball.spin * this.ballRadius;
+
+        // Solid disc: an impulse changes surface speed three times as much as it changes velocity
+        const change = this.spinGrip * slip / 3;
+        ball.vx -= tangent.x * change;
+        ball.vy -= tangent.y * change;
+        ball.spin += 2 * change / this.ballRadius;
+    }
+
+    // Bounciness of a wall, arc or post; the stadium default unless it sets its own
+    getBounce(collider) {
+        return collider.bounce === undefined ? this.bounceRestitution : collider.bounce;
+    }
+
+    // Angle in [0, 2 * PI)
+    static wrapAngle(angle) {
+        const fullTurn = Math.PI * 2;
+        return ((angle % fullTurn) + fullTurn) % fullTurn;
+    }
+
     // Check collision between two circular objects
     checkCollision(obj1, obj2, radius1, radius2) {
         const distance = PhysicsEngine.distance(obj1, obj2);
@@ -155,6 +488,11 @@ class PhysicsEngine {
         obj2.x += normal.x * separation;
         obj2.y += normal.y * separation;
 
+        this.applyImpulse(obj1, obj2, normal, mass1, mass2);
+    }
+
+    // Bounce two touching objects apart along the normal pointing from obj1 to obj2
+    applyImpulse(obj1, obj2, normal, mass1 = 1, mass2 = 1) {
         // Calculate relative velocity
         const relativeVelocity = {
             x: obj2.vx - obj1.vx,
@@ -185,22 +523,14 @@ class PhysicsEngine {
         obj2.vy += impulse.y / mass2;
     }
 
-    // Check if ball is in goal
+    // Check if ball is in a goal, returning the team that scored
     checkGoal(ball) {
-        const fieldWidth = 800;
-        const fieldHeight = 400;
-        const goalHeight = 80;
-        const goalTop = (fieldHeight - goalHeight) / 2;
-        const goalBottom = goalTop + goalHeight;
-
-        // Left goal (Red team scores)
-        if (ball.x < 0 && ball.y >= goalTop && ball.y <= goalBottom) {
-            return 'blue'; // Blue team scored
-        }
+        for (const goal of this.stadium.goals) {
+            const behindLine = (ball.x - goal.x) * this.stadium.goalDirection(goal) > 0;
 
-        // Right goal (Blue team scores)
-        if (ball.x > fieldWidth && ball.y >= goalTop && ball.y <= goalBottom) {
-            return 'red'; // Red team scored
+            if (behindLine && ball.y >= goal.top && ball.y <= goal.bottom) {
+                return goal.team === 'red' ? 'blue' : 'red';
+            }
         }
 
         return null;
@@ -208,10 +538,11 @@ class PhysicsEngine {
 
     // Reset ball to center
     resetBall(ball) {
-        ball.x = 400; // Center X
-        ball.y = 200; // Center Y
+        ball.x = this.stadium.center.x;
+        ball.y = this.stadium.center.y;
         ball.vx = 0;
         ball.vy = 0;
+        ball.spin = 0;
     }
 
     // Apply kick force from player to ball
@@ -225,6 +556,13 @@ class PhysicsEngine {
             const dy = ball.y - player.y;
             const direction = PhysicsEngine.normalize({ x: dx, y: dy });
 
+            // Spin from the contact: a kicker moving across the kick, or a ball rolling
+            // across it (an off-centre hit), drags the ball's rear surface sideways
+            const tangent = { x: -direction.y, y: direction.x };
+            const kickerSideways = player.vx * tangent.x + player.vy * tangent.y;
+            const ballSideways = ball.vx * tangent.x + ball.vy * tangent.y;
+            ball.spin = (ball.spin || 0) - (kickerSideways - ballSideways) * this.kickSpin / this.ballRadius;
+
             // Apply force to ball
             ball.vx += direction.x * kickForce;
             ball.vy += direction.y * kickForce;
@@ -236,6 +574,52 @@ class PhysicsEngine {
     }
 }
 
+// Velocities are in units per 1/60 s; other tick rates scale by dt
+PhysicsEngine.BASE_TICK_RATE = 60;
+
+// Tunable values and their allowed range
+PhysicsEngine.CONFIG_LIMITS = {
+    friction: [0.9, 1],
+    bounceRestitution: [0, 1], // above 1 every bounce would add energy
+    maxSpeed: [1, 15],
+    acceleration: [0.05, 2],
+    playerRadius: [8, 30],
+    ballRadius: [4, 25],
+    playerMass: [0.1, 10],
+    ballMass: [0.1, 10]
+};
+
+// Named physics presets a host can pick for their room; values not listed come
+// from the stadium
+PhysicsEngine.PRESETS = {
+    classic: {
+        name: 'Classic',
+        values: {}
+    },
+    futsal: {
+        name: 'Futsal',
+        values: { friction: 0.97, bounceRestitution: 0.5, ballRadius: 8, ballMass: 0.7, acceleration: 0.6 }
+    },
+    ice: {
+        name: 'Ice',
+        values: { friction: 0.995, bounceRestitution: 0.95, acceleration: 0.15, maxSpeed: 6 }
+    },
+    heavyBall: {
+        name: 'Heavy ball',
+        values: { ballRadius: 13, ballMass: 2, bounceRestitution: 0.5 }
+    }
+};
+
+// Input used for players that sent nothing this tick
+PhysicsEngine.EMPTY_INPUT = Object.freeze({
+    up: false,
+    down: false,
+    left: false,
+    right: false,
+    kick: false,
+    sprint: false
+});
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PhysicsEngine;
@@ -0,0 +1,84 @@
+// Client-side prediction for HaxBall Clone
+// Tags local input frames with sequence numbers, applies them immediately to the
+// local player and replays unacknowledged frames on top of server state.
+class PredictionManager {
+    constructor(physics) {
+        this.physics = physics;
+        this.nextSeq = 1;
+        this.pendingFrames = [];
+        this.maxPendingFrames = 120; // ~2 seconds at 60Hz
+        this.timeStep = 1; // server tick length in 60Hz steps
+        this.frozen = false; // server holds players still (countdowns)
+        this.kickoff = null; // { team } while kickoff barriers are up
+    }
+
+    // Build the next input frame from current key state
+    createFrame(input) {
+        const frame = {
+            seq: this.nextSeq++,
+            up: !!input.up,
+            down: !!input.down,
+            left: !!input.left,
+            right: !!input.right,
+            kick: !!input.kick,
+            sprint: !!input.sprint
+        };
+
+        this.pendingFrames.push(frame);
+        if (this.pendingFrames.length > this.maxPendingFrames) {
+            this.pendingFrames.shift();
+        }
+
+        return frame;
+    }
+
+    // Simulate one input frame on the local player
+    applyFrame(player, frame) {
+        if (this.frozen) return;
+        this.physics.updatePlayer(player, frame, this.timeStep, this.kickoff);
+    }
+
+    // Stop or resume local movement to match the server
+    setFrozen(frozen) {
+        this.frozen = frozen;
+    }
+
+    // Predict against the same kickoff barriers as the server
+    setKickoff(kickoff) {
+        this.kickoff = kickoff;
+    }
+
+    // Simulate with the room's stadium
+    setPhysics(physics) {
+        this.physics = physics;
+    }
+
+    // Match the server's simulation rate
+    setTickRate(tickRate) {
+        this.timeStep = PhysicsEngine.BASE_TICK_RATE / tickRate;
+        this.maxPendingFrames = Math.ceil(tickRate * 2);
+    }
+
+    // Drop acknowledged frames and replay the rest on authoritative state
+    reconcile(player, lastInputSeq) {
+        if (typeof lastInputSeq === 'number') {
+            this.pendingFrames = this.pendingFrames.filter(frame => frame.seq > lastInputSeq);
+        }
+
+        this.pendingFrames.forEach(frame => {
+            this.applyFrame(player, frame);
+        });
+    }
+
+    // Clear pending frames and match constraints (new room or reconnect)
+    reset() {
+        this.pendingFrames = [];
+        this.frozen = false;
+        this.kickoff = null;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PredictionManager;
+}
@@ -0,0 +1,276 @@
+// Message protocol for HaxBall Clone
+// Shared by client and server. SCHEMAS declares the payload of every message a
+// client may send; the server validates each inbound event against it and
+// replies with `error` events of the form { code, message }.
+//
+// Field types: 'string', 'integer', 'number', 'boolean', 'object'.
+// Options: optional, minLength/maxLength (trimmed strings), pattern, values,
+// min/max, fields (nested object). `strict` rejects keys not listed in fields,
+// `binary` lets the message arrive as a binary frame instead.
+class Protocol {
+    // Check payload against the schema for a message type.
+    // Returns null if valid, otherwise a short reason.
+    static validate(type, payload) {
+        const schema = Protocol.SCHEMAS[type];
+        if (!schema) {
+            return `unknown message "${type}"`;
+        }
+
+        if (schema.binary && Protocol.isBinary(payload)) {
+            return null;
+        }
+
+        return Protocol.validateObject(payload, schema);
+    }
+
+    // Check an object's fields against a schema
+    static validateObject(value, schema) {
+        if (!Protocol.isObject(value)) {
+            return 'payload is not an object';
+        }
+
+        const fields = schema.fields || {};
+
+        if (schema.strict) {
+            const unknown = Object.keys(value).find(key => !(key in fields));
+            if (unknown !== undefined) {
+                return `unknown field "${unknown}"`;
+            }
+        }
+
+        for (const key of Object.keys(fields)) {
+            const reason = Protocol.validateField(key, value[key], fields[key]);
+            if (reason) return reason;
+        }
+
+        return null;
+    }
+
+    // Check a single field; null and undefined both count as missing
+    static validateField(key, value, field) {
+        if (value === undefined || value === null) {
+            return field.optional ? null : `"${key}" is required`;
+        }
+
+        switch (field.type) {
+            case 'string': {
+                if (typeof value !== 'string') return `"${key}" must be a string`;
+
+                const length = value.trim().length;
+                if (field.minLength !== undefined && length < field.minLength) {
+                    return `"${key}" must be at least ${field.minLength} characters`;
+                }
+                if (field.maxLength !== undefined && length > field.maxLength) {
+                    return `"${key}" must be at most ${field.maxLength} characters`;
+                }
+                if (field.pattern && !field.pattern.test(value)) {
+                    return `"${key}" has an invalid format`;
+                }
+                break;
+            }
+
+            case 'integer':
+            case 'number': {
+                const valid = field.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+                if (!valid) return `"${key}" must be ${field.type === 'integer' ? 'an integer' : 'a number'}`;
+
+                if (field.min !== undefined && value < field.min) {
+                    return `"${key}" must be at least ${field.min}`;
+                }
+                if (field.max !== undefined && value > field.max) {
+                    return `"${key}" must be at most ${field.max}`;
+                }
+                break;
+            }
+
+            case 'boolean':
+                if (typeof value !== 'boolean') return `"${key}" must be a boolean`;
+                break;
+
+            case 'object': {
+                const reason = Protocol.validateObject(value, field);
+                if (reason) return `"${key}": ${reason}`;
+                break;
+            }
+
+            default:
+                return `"${key}" has unsupported type ${field.type}`;
+        }
+
+        if (field.values && !field.values.includes(value)) {
+            return `"${key}" must be one of ${field.values.join(', ')}`;
+        }
+
+        return null;
+    }
+
+    // Build a structured error payload
+    static error(code, detail) {
+        const message = Protocol.ERROR_MESSAGES[code] || code;
+        return detail ? { code, message, detail } : { code, message };
+    }
+
+    // Plain object check
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // ArrayBuffer or typed array (Node Buffers included)
+    static isBinary(value) {
+        return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+    }
+}
+
+// Bumped on any incompatible change to messages or encodings
+Protocol.VERSION = 6;
+
+// Keys of PhysicsEngine.PRESETS
+Protocol.PHYSICS_PRESETS = ['classic', 'futsal', 'ice', 'heavyBall'];
+
+// Host-tunable physics values and their ranges, matching PhysicsEngine.CONFIG_LIMITS
+Protocol.PHYSICS_CONFIG = {
+    friction: { type: 'number', optional: true, min: 0.9, max: 1 },
+    bounceRestitution: { type: 'number', optional: true, min: 0, max: 1 },
+    maxSpeed: { type: 'number', optional: true, min: 1, max: 15 },
+    acceleration: { type: 'number', optional: true, min: 0.05, max: 2 },
+    playerRadius: { type: 'number', optional: true, min: 8, max: 30 },
+    ballRadius: { type: 'number', optional: true, min: 4, max: 25 },
+    playerMass: { type: 'number', optional: true, min: 0.1, max: 10 },
+    ballMass: { type: 'number', optional: true, min: 0.1, max: 10 }
+};
+
+// Client -> server messages; hello must come first
+Protocol.SCHEMAS = {
+    hello: {
+        fields: {
+            version: { type: 'integer', min: 1 },
+            features: {
+                type: 'object',
+                optional: true,
+                fields: {
+                    binaryCodec: { type: 'boolean', optional: true },
+                    deltaSnapshots: { type: 'boolean', optional: true }
+                }
+            }
+        }
+    },
+    resumeSession: {
+        fields: {
+            token: { type: 'string', pattern: /^[0-9a-f]{48}$/ }
+        }
+    },
+    joinGame: {
+        fields: {
+            nickname: { type: 'string', minLength: 2, maxLength: 20 }
+        }
+    },
+    createRoom: {
+        fields: {
+            settings: {
+                type: 'object',
+                optional: true,
+                fields: {
+                    tickRate: { type: 'number', optional: true },
+                    sendRate: { type: 'number', optional: true },
+                    kickStrength: { type: 'number', optional: true },
+                    kickCooldown: { type: 'number', optional: true },
+                    timeLimit: { type: 'number', optional: true },
+                    scoreLimit: { type: 'number', optional: true },
+                    stadium: { type: 'object', optional: true }, // checked by Stadium.parse
+                    physicsPreset: { type: 'string', optional: true, values: Protocol.PHYSICS_PRESETS }
+                }
+            }
+        }
+    },
+    joinRoom: {
+        fields: {
+            roomCode: { type: 'string', pattern: /^[A-Z0-9]{6}$/ }
+        }
+    },
+    playerInput: {
+        binary: true,
+        strict: true,
+        fields: {
+            seq: { type: 'integer', optional: true, min: 1, max: 0xFFFFFFFF },
+            up: { type: 'boolean', optional: true },
+            down: { type: 'boolean', optional: true },
+            left: { type: 'boolean', optional: true },
+            right: { type: 'boolean', optional: true },
+            kick: { type: 'boolean', optional: true },
+            sprint: { type: 'boolean', optional: true }
+        }
+    },
+    pong: {
+        fields: {
+            id: { type: 'integer', min: 1 }
+        }
+    },
+    timeSync: {
+        fields: {
+            id: { type: 'integer', min: 1 },
+            clientTime: { type: 'number', min: 0 }
+        }
+    },
+    snapshotAck: {
+        fields: {
+            snapshot: { type: 'integer', optional: true, min: 0 }
+        }
+    },
+    chatMessage: {
+        fields: {
+            message: { type: 'string', minLength: 1, maxLength: 100 }
+        }
+    },
+    leaveRoom: {},
+    switchTeam: {
+        fields: {
+            team: { type: 'string', optional: true, values: ['red', 'blue', 'spectator'] }
+        }
+    },
+    setPhysics: {
+        fields: {
+            preset: { type: 'string', values: Protocol.PHYSICS_PRESETS },
+            config: {
+                type: 'object',
+                optional: true,
+                strict: true,
+                fields: Protocol.PHYSICS_CONFIG
+            }
+        }
+    },
+    getPublicRooms: {}
+};
+
+// Error codes sent in `error` and `warning` events
+Protocol.ERRORS = {
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    INCOMPATIBLE_CLIENT: 'INCOMPATIBLE_CLIENT',
+    PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+    ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+    ROOM_FULL: 'ROOM_FULL',
+    INVALID_STADIUM: 'INVALID_STADIUM',
+    NOT_HOST: 'NOT_HOST',
+    MATCH_IN_PROGRESS: 'MATCH_IN_PROGRESS',
+    ALREADY_JOINED: 'ALREADY_JOINED',
+    INPUT_REJECTED: 'INPUT_REJECTED',
+    INPUT_ABUSE: 'INPUT_ABUSE'
+};
+
+Protocol.ERROR_MESSAGES = {
+    INVALID_MESSAGE: 'Invalid message',
+    INCOMPATIBLE_CLIENT: 'Your game is out of date, please reload the page',
+    PLAYER_NOT_FOUND: 'Player not found',
+    ROOM_NOT_FOUND: 'Room not found',
+    ROOM_FULL: 'Room is full',
+    INVALID_STADIUM: 'Invalid stadium',
+    NOT_HOST: 'Only the room host can do that',
+    MATCH_IN_PROGRESS: 'Not possible while a match is running',
+    ALREADY_JOINED: 'This connection already has a player',
+    INPUT_REJECTED: 'Input rejected',
+    INPUT_ABUSE: 'Disconnected for sending invalid input'
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Protocol;
+}
@@ -0,0 +1,367 @@
+// Stadium definitions for HaxBall Clone
+// Shared by client and server. A stadium is a plain JSON object describing the
+// field; the room loads one (the classic field unless the host supplies their
+// own), sends it to clients on join, and physics, spawns and rendering all read
+// from it.
+//
+//   name, width, height          field rectangle, origin at the top-left corner;
+//                                everything must lie within Stadium.MAX_COORDINATE
+//   centerCircleRadius           kickoff circle around the field center
+//   penaltyBox: { width, height }
+//   goals: [{ team, x, top, bottom, depth }]
+//                                goal line of the goal `team` defends; the net
+//                                extends `depth` away from the field
+//   walls: [{ x1, y1, x2, y2, bounce }]
+//                                segments players and the ball bounce off
+//   arcs: [{ x, y, radius, startAngle, endAngle, bounce }]
+//                                circular walls, e.g. rounded corners; angles in
+//                                degrees, clockwise from the +x axis
+//   posts: [{ x, y, radius, bounce }]
+//                                fixed discs, usually at the goal mouths
+//                                `bounce` is optional on walls, arcs and posts and
+//                                defaults to physics.bounceRestitution. `mask`, also
+//                                optional, lists the collision groups the collider
+//                                stops (see Stadium.GROUPS); without one it stops
+//                                everything
+//   spawns: { [teamSize]: [{ back, side }] }
+//                                formation overrides, see server/formations.js
+//   spectatorSpot: { x, y }
+//   colors: { field, lines, red, blue }
+//   physics: { friction, bounceRestitution, playerRadius, ballRadius, playerMass, ballMass,
+//              maxSpeed, acceleration }
+//                                defaults for the room physics config; a room's
+//                                physics preset may override them
+class Stadium {
+    constructor(definition = Stadium.CLASSIC) {
+        const parsed = Stadium.parse(definition);
+        Object.assign(this, parsed);
+        this.center = { x: this.width / 2, y: this.height / 2 };
+        this.kickoffBarriers = this.createKickoffBarriers();
+    }
+
+    // Validate a definition and fill in defaults; throws on invalid input
+    static parse(definition) {
+        if (!Stadium.isObject(definition)) {
+            throw new Error('Stadium must be an object');
+        }
+
+        const limit = Stadium.MAX_COORDINATE;
+        const width = Stadium.number(definition.width, 'width', 100, limit);
+        const height = Stadium.number(definition.height, 'height', 100, limit);
+
+        const goals = Stadium.list(definition.goals, 'goals', 2, (goal, name) => ({
+            team: Stadium.team(goal.team, `${name}.team`),
+            x: Stadium.number(goal.x, `${name}.x`),
+            top: Stadium.number(goal.top, `${name}.top`),
+            bottom: Stadium.number(goal.bottom, `${name}.bottom`),
+            depth: Stadium.number(goal.depth, `${name}.depth`, 1)
+        }));
+
+        if (!goals.some(goal => goal.team === 'red') || !goals.some(goal => goal.team === 'blue')) {
+            throw new Error('Invalid stadium: needs a red and a blue goal');
+        }
+
+        const defaults = Stadium.CLASSIC;
+        const penaltyBox = Stadium.optionalObject(definition.penaltyBox, 'penaltyBox');
+        const spectatorSpot = Stadium.optionalObject(definition.spectatorSpot, 'spectatorSpot');
+        const colors = { ...defaults.colors, ...Stadium.optionalObject(definition.colors, 'colors') };
+        const physics = { ...defaults.physics };
+        Object.keys(physics).forEach(key => {
+            const value = Stadium.optionalObject(definition.physics, 'physics')[key];
+            if (value !== undefined) physics[key] = Stadium.number(value, `physics.${key}`, 0);
+        });
+
+        const parsed = {
+            name: typeof definition.name === 'string' ? definition.name.slice(0, 40) : 'Custom',
+            width: width,
+            height: height,
+            centerCircleRadius: definition.centerCircleRadius === undefined
+                ? defaults.centerCircleRadius
+                : Stadium.number(definition.centerCircleRadius, 'centerCircleRadius', 0),
+            penaltyBox: definition.penaltyBox === undefined ? { ...defaults.penaltyBox } : {
+                width: Stadium.number(penaltyBox.width, 'penaltyBox.width', 0),
+                height: Stadium.number(penaltyBox.height, 'penaltyBox.height', 0)
+            },
+            goals: goals,
+            walls: Stadium.list(definition.walls, 'walls', 1, (wall, name) => Stadium.withBounce({
+                x1: Stadium.number(wall.x1, `${name}.x1`),
+                y1: Stadium.number(wall.y1, `${name}.y1`),
+                x2: Stadium.number(wall.x2, `${name}.x2`),
+                y2: Stadium.number(wall.y2, `${name}.y2`)
+            }, wall, name)),
+            arcs: Stadium.list(definition.arcs || [], 'arcs', 0, (arc, name) => Stadium.withBounce({
+                x: Stadium.number(arc.x, `${name}.x`),
+                y: Stadium.number(arc.y, `${name}.y`),
+                radius: Stadium.number(arc.radius, `${name}.radius`, 1),
+                startAngle: Stadium.number(arc.startAngle, `${name}.startAngle`, -360, 360),
+                endAngle: Stadium.number(arc.endAngle, `${name}.endAngle`, -360, 720)
+            }, arc, name)),
+            posts: Stadium.list(definition.posts || [], 'posts', 0, (post, name) => Stadium.withBounce({
+                x: Stadium.number(post.x, `${name}.x`),
+                y: Stadium.number(post.y, `${name}.y`),
+                radius: Stadium.number(post.radius, `${name}.radius`, 0)
+            }, post, name)),
+            spawns: Stadium.parseSpawns(definition.spawns, width, height),
+            spectatorSpot: definition.spectatorSpot === undefined ? { x: width / 2, y: height / 8 } : {
+                x: Stadium.number(spectatorSpot.x, 'spectatorSpot.x', -limit, limit),
+                y: Stadium.number(spectatorSpot.y, 'spectatorSpot.y', -limit, limit)
+            },
+            colors: colors,
+            physics: physics
+        };
+
+        // Positions beyond the codec's range would be clamped in binary snapshots
+        const bounds = Stadium.bounds(parsed);
+        if (bounds.x < -limit || bounds.y < -limit ||
+            bounds.x + bounds.width > limit || bounds.y + bounds.height > limit) {
+            throw new Error(`Invalid stadium: goals, walls, arcs and posts must lie within ${limit} of the origin`);
+        }
+
+        return parsed;
+    }
+
+    // Formation overrides keyed by team size; spots are offsets from the center
+    // spot and must stay on the field
+    static parseSpawns(spawns, width, height) {
+        const result = {};
+
+        Object.keys(Stadium.optionalObject(spawns, 'spawns')).forEach(size => {
+            if (!/^[1-9][0-9]?$/.test(size)) {
+                throw new Error(`Invalid stadium: spawns.${size} is not a team size`);
+            }
+
+            result[size] = Stadium.list(spawns[size], `spawns.${size}`, Number(size), (spot, name) => ({
+                back: Stadium.number(spot.back, `${name}.back`, -width / 2, width / 2),
+                side: Stadium.number(spot.side, `${name}.side`, -height / 2, height / 2)
+            }));
+        });
+
+        return result;
+    }
+
+    // Copy the optional bounce and mask values onto a parsed collider
+    static withBounce(parsed, item, name) {
+        if (item.bounce !== undefined) {
+            parsed.bounce = Stadium.number(item.bounce, `${name}.bounce`, 0, 2);
+        }
+
+        if (item.mask !== undefined) {
+            if (!Array.isArray(item.mask) || !item.mask.every(group => Stadium.GROUPS.includes(group))) {
+                throw new Error(`Invalid stadium: ${name}.mask must list groups from ${Stadium.GROUPS.join(', ')}`);
+            }
+            parsed.mask = item.mask.slice();
+        }
+
+        return parsed;
+    }
+
+    // Barriers that hold players until the kickoff is taken: the half line keeps
+    // both teams in their own half, and the center circle keeps the defending team
+    // out while the team in possession may use all of it. Not part of the
+    // definition; both sides derive them from the center circle.
+    createKickoffBarriers() {
+        const { x, y } = this.center;
+        const radius = this.centerCircleRadius;
+
+        // Circle half facing each team's opponents; red usually defends the left goal
+        const redLeft = this.goalDirection(this.getGoal('red')) < 0;
+        const facingBlue = redLeft ? { startAngle: -90, endAngle: 90 } : { startAngle: 90, endAngle: 270 };
+        const facingRed = redLeft ? { startAngle: 90, endAngle: 270 } : { startAngle: -90, endAngle: 90 };
+        const halfLine = ['redKickoff', 'blueKickoff'];
+
+        return {
+            walls: [
+                { x1: x, y1: 0, x2: x, y2: y - radius, bounce: 0, mask: halfLine },
+                { x1: x, y1: y + radius, x2: x, y2: this.height, bounce: 0, mask: halfLine }
+            ],
+            arcs: [
+                { x, y, radius, ...facingBlue, bounce: 0, mask: ['redKickoff', 'kickoffDefender'] },
+                { x, y, radius, ...facingRed, bounce: 0, mask: ['blueKickoff', 'kickoffDefender'] }
+            ]
+        };
+    }
+
+    // Goal defended by a team
+    getGoal(team) {
+        return this.goals.find(goal => goal.team === team);
+    }
+
+    // Which way a goal's net points: -1 for a net left of the goal line, 1 for right
+    goalDirection(goal) {
+        return goal.x < this.center.x ? -1 : 1;
+    }
+
+    // Rectangle covering the field and every wall, arc and post (nets included)
+    getBounds() {
+        return Stadium.bounds(this);
+    }
+
+    // Bounding rectangle of a parsed definition, goal nets included
+    static bounds(stadium) {
+        const xs = [0, stadium.width];
+        const ys = [0, stadium.height];
+
+        stadium.goals.forEach(goal => {
+            xs.push(goal.x - goal.depth, goal.x + goal.depth);
+        });
+        stadium.walls.forEach(wall => {
+            xs.push(wall.x1, wall.x2);
+            ys.push(wall.y1, wall.y2);
+        });
+        stadium.arcs.concat(stadium.posts).forEach(circle => {
+            xs.push(circle.x - circle.radius, circle.x + circle.radius);
+            ys.push(circle.y - circle.radius, circle.y + circle.radius);
+        });
+
+        const left = Math.min(...xs);
+        const top = Math.min(...ys);
+        return {
+            x: left,
+            y: top,
+            width: Math.max(...xs) - left,
+            height: Math.max(...ys) - top
+        };
+    }
+
+    // Plain definition to send to clients
+    toJSON() {
+        return {
+            name: this.name,
+            width: this.width,
+            height: this.height,
+            centerCircleRadius: this.centerCircleRadius,
+            penaltyBox: this.penaltyBox,
+            goals: this.goals,
+            walls: this.walls,
+            arcs: this.arcs,
+            posts: this.posts,
+            spawns: this.spawns,
+            spectatorSpot: this.spectatorSpot,
+            colors: this.colors,
+            physics: this.physics
+        };
+    }
+
+    // Finite number within bounds
+    static number(value, name, min = -Infinity, max = Infinity) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Invalid stadium: ${name} must be a number`);
+        }
+        if (value < min || value > max) {
+            throw new Error(`Invalid stadium: ${name} is out of range`);
+        }
+        return value;
+    }
+
+    // 'red' or 'blue'
+    static team(value, name) {
+        if (value !== 'red' && value !== 'blue') {
+            throw new Error(`Invalid stadium: ${name} must be red or blue`);
+        }
+        return value;
+    }
+
+    // Array of objects, each parsed by parseItem
+    static list(value, name, minLength, parseItem) {
+        if (!Array.isArray(value) || value.length < minLength || value.length > Stadium.MAX_ITEMS) {
+            throw new Error(`Invalid stadium: ${name} must be a list of ${minLength} to ${Stadium.MAX_ITEMS} items`);
+        }
+
+        return value.map((item, index) => {
+            if (!Stadium.isObject(item)) {
+                throw new Error(`Invalid stadium: ${name}[${index}] must be an object`);
+            }
+            return parseItem(item, `${name}[${index}]`);
+        });
+    }
+
+    // Object or nothing
+    static optionalObject(value, name) {
+        if (value === undefined) return {};
+        if (!Stadium.isObject(value)) {
+            throw new Error(`Invalid stadium: ${name} must be an object`);
+        }
+        return value;
+    }
+
+    // Plain object check
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+Stadium.MAX_ITEMS = 256;
+
+// Largest coordinate a stadium may use: binary snapshots carry positions as
+// int16 in 1/16 px (see codec.js), about +-2047 px, and this leaves a margin
+Stadium.MAX_COORDINATE = 2000;
+
+// Collision groups colliders can mask: the ball, all players, one team, and the
+// groups players get while a kickoff is pending (see PhysicsEngine.getPlayerGroups)
+Stadium.GROUPS = ['ball', 'player', 'red', 'blue', 'redKickoff', 'blueKickoff', 'kickoffDefender'];
+
+// The original 800x400 field
+Stadium.CLASSIC = {
+    name: 'Classic',
+    width: 800,
+    height: 400,
+    centerCircleRadius: 50,
+    penaltyBox: { width: 60, height: 120 },
+    goals: [
+        { team: 'red', x: 0, top: 160, bottom: 240, depth: 20 },
+        { team: 'blue', x: 800, top: 160, bottom: 240, depth: 20 }
+    ],
+    walls: [
+        // Touchlines
+        { x1: 0, y1: 0, x2: 800, y2: 0 },
+        { x1: 0, y1: 400, x2: 800, y2: 400 },
+
+        // Goal lines beside the goals
+        { x1: 0, y1: 0, x2: 0, y2: 160 },
+        { x1: 0, y1: 240, x2: 0, y2: 400 },
+        { x1: 800, y1: 0, x2: 800, y2: 160 },
+        { x1: 800, y1: 240, x2: 800, y2: 400 },
+
+        // Goal mouths: the ball goes in, players stay out
+        { x1: 0, y1: 160, x2: 0, y2: 240, mask: ['player'] },
+        { x1: 800, y1: 160, x2: 800, y2: 240, mask: ['player'] },
+
+        // Nets
+        { x1: 0, y1: 160, x2: -20, y2: 160 },
+        { x1: -20, y1: 160, x2: -20, y2: 240 },
+        { x1: -20, y1: 240, x2: 0, y2: 240 },
+        { x1: 800, y1: 160, x2: 820, y2: 160 },
+        { x1: 820, y1: 160, x2: 820, y2: 240 },
+        { x1: 820, y1: 240, x2: 800, y2: 240 }
+    ],
+    arcs: [],
+    posts: [
+        { x: 0, y: 160, radius: 4, bounce: 0.5 },
+        { x: 0, y: 240, radius: 4, bounce: 0.5 },
+        { x: 800, y: 160, radius: 4, bounce: 0.5 },
+        { x: 800, y: 240, radius: 4, bounce: 0.5 }
+    ],
+    spawns: {},
+    spectatorSpot: { x: 400, y: 50 },
+    colors: {
+        field: '#2E7D32',
+        lines: 'white',
+        red: '#FF4444',
+        blue: '#4444FF'
+    },
+    physics: {
+        friction: 0.98,
+        bounceRestitution: 0.8,
+        playerRadius: 15,
+        ballRadius: 10,
+        playerMass: 1,
+        ballMass: 0.5,
+        maxSpeed: 5,
+        acceleration: 0.5
+    }
+};
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Stadium;
+}
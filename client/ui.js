@@ -68,6 +68,26 @@ class UIManager {
             });
         }
 
+        // Physics preset (host only, between matches)
+        const physicsPreset = document.getElementById('physics-preset');
+
+        if (physicsPreset) {
+            physicsPreset.addEventListener('change', () => {
+                if (window.game && window.game.network) {
+                    window.game.network.setPhysics(physicsPreset.value);
+                }
+            });
+        }
+
+        // Reload screen
+        const reloadBtn = document.getElementById('reload-btn');
+
+        if (reloadBtn) {
+            reloadBtn.addEventListener('click', () => {
+                window.location.reload();
+            });
+        }
+
         // Keyboard controls for game
         document.addEventListener('keydown', (e) => {
             this.handleKeyDown(e);
@@ -159,8 +179,11 @@ class UIManager {
     handleKeyDown(e) {
         if (this.currentScreen !== 'game-screen') return;
 
+        // Let text fields (chat) receive their own keys
+        if (e.target && e.target.tagName === 'INPUT') return;
+
         // Prevent default for game keys
-        const gameKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'KeyW', 'KeyA', 'KeyS', 'KeyD'];
+        const gameKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'KeyW', 'KeyA', 'KeyS', 'KeyD', 'Space', 'KeyX', 'ShiftLeft', 'ShiftRight'];
         if (gameKeys.includes(e.code)) {
             e.preventDefault();
         }
@@ -187,9 +210,14 @@ class UIManager {
         if (blueScoreElement) blueScoreElement.textContent = blueScore;
     }
 
-    updateTimer(timeString) {
+    // Show match time (ms) as m:ss
+    updateTimer(matchTime) {
+        const totalSeconds = Math.max(0, Math.floor(matchTime / 1000));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+
         const timerElement = document.getElementById('game-timer');
-        if (timerElement) timerElement.textContent = timeString;
+        if (timerElement) timerElement.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
     }
 
     updateRoomInfo(roomCode, playerCount) {
@@ -200,6 +228,15 @@ class UIManager {
         if (playerCountElement) playerCountElement.textContent = playerCount;
     }
 
+    // Show the room's physics preset; only the host may change it, between matches
+    updatePhysicsPreset(preset, editable) {
+        const physicsPreset = document.getElementById('physics-preset');
+        if (!physicsPreset) return;
+
+        physicsPreset.value = preset;
+        physicsPreset.disabled = !editable;
+    }
+
     // Update player lists
     updatePlayerList(players) {
         const redTeamElement = document.getElementById('red-team-players');
@@ -219,6 +256,20 @@ class UIManager {
             playerElement.className = `player ${player.team}`;
             playerElement.textContent = player.nickname;
 
+            // Held slot while the player reconnects
+            if (player.connected === false) {
+                playerElement.classList.add('disconnected');
+                playerElement.title = 'Reconnecting...';
+            }
+
+            // Latency badge
+            if (typeof player.ping === 'number' && player.ping > 0) {
+                const pingElement = document.createElement('span');
+                pingElement.className = `player-ping ${this.getPingQuality(player.ping)}`;
+                pingElement.textContent = `${player.ping} ms`;
+                playerElement.appendChild(pingElement);
+            }
+
             switch (player.team) {
                 case 'red':
                     redTeamElement.appendChild(playerElement);
@@ -232,6 +283,13 @@ class UIManager {
         });
     }
 
+    // Classify latency for colouring
+    getPingQuality(ping) {
+        if (ping < 80) return 'good';
+        if (ping < 150) return 'fair';
+        return 'poor';
+    }
+
     // Add chat message to chat window
     addChatMessage(playerName, message, isSystem = false) {
         const chatMessages = document.getElementById('chat-messages');
@@ -241,7 +299,11 @@ class UIManager {
         messageElement.className = 'chat-message';
 
         if (isSystem) {
-            messageElement.innerHTML = `<span style="color: #FFD700;">${message}</span>`;
+            // System messages may carry nicknames, so never parse them as HTML
+            const span = document.createElement('span');
+            span.style.color = '#FFD700';
+            span.textContent = message;
+            messageElement.appendChild(span);
         } else {
             messageElement.innerHTML = `<strong>${playerName}:</strong> ${message}`;
         }
@@ -255,6 +317,70 @@ class UIManager {
         }
     }
 
+    // Show the reload screen when this client is too old for the server
+    showReloadScreen(message) {
+        const reloadMessage = document.getElementById('reload-message');
+        if (reloadMessage && message) {
+            reloadMessage.textContent = message;
+        }
+
+        this.showScreen('reload-screen');
+    }
+
+    // Show the post-match result over the field
+    showMatchResult(result) {
+        const panel = document.getElementById('match-result');
+        if (!panel) return;
+
+        const reasons = {
+            timeLimit: 'Time is up',
+            scoreLimit: 'Score limit reached',
+            goldenGoal: 'Golden goal'
+        };
+
+        document.getElementById('match-result-title').textContent =
+            result.winner ? `${result.winner === 'red' ? 'Red' : 'Blue'} team wins!` : 'Draw';
+        document.getElementById('match-result-score').textContent = `${result.score.red} - ${result.score.blue}`;
+        document.getElementById('match-result-reason').textContent = reasons[result.reason] || '';
+
+        panel.className = `match-result active ${result.winner || ''}`;
+    }
+
+    // Hide the post-match result
+    hideMatchResult() {
+        const panel = document.getElementById('match-result');
+        if (panel) panel.className = 'match-result';
+    }
+
+    // Announce a goal over the field for the length of the goal pause
+    showGoalBanner(goal) {
+        const banner = document.getElementById('goal-banner');
+        if (!banner) return;
+
+        document.getElementById('goal-banner-title').textContent = goal.ownGoal ? 'OWN GOAL!' : 'GOAL!';
+        document.getElementById('goal-banner-detail').textContent = UIManager.describeGoal(goal);
+        banner.className = `goal-banner active ${goal.team}`;
+
+        clearTimeout(this.goalBannerTimer);
+        this.goalBannerTimer = setTimeout(() => {
+            banner.className = 'goal-banner';
+        }, 2500);
+    }
+
+    // One line about who scored, e.g. "Alice scored (assist Bob)"
+    static describeGoal(goal) {
+        if (!goal.scorer) {
+            return `Goal for ${goal.team === 'red' ? 'Red' : 'Blue'}!`;
+        }
+        if (goal.ownGoal) {
+            return `${goal.scorer.nickname} scored an own goal`;
+        }
+        if (goal.assist) {
+            return `${goal.scorer.nickname} scored (assist ${goal.assist.nickname})`;
+        }
+        return `${goal.scorer.nickname} scored`;
+    }
+
     // Show error message
     showError(message) {
         // Create error popup
@@ -0,0 +1,80 @@
+// Spawn formations for HaxBall Clone
+// Spots are listed for the red team as offsets from the center spot: `back` is
+// the distance towards red's own goal, `side` the vertical offset. Blue uses the
+// same spots mirrored across the center line. Teams larger than the table get a
+// generated formation. Built-in spots are laid out for the 800x400 classic field
+// and stretched to the stadium's size; stadium overrides are used as given.
+const DEFAULT_FORMATIONS = {
+    1: [
+        { back: 300, side: 0 }
+    ],
+    2: [
+        { back: 200, side: -70 },
+        { back: 200, side: 70 }
+    ],
+    3: [
+        { back: 150, side: 0 },
+        { back: 260, side: -90 },
+        { back: 260, side: 90 }
+    ],
+    4: [
+        { back: 120, side: 0 },
+        { back: 220, side: -100 },
+        { back: 220, side: 100 },
+        { back: 330, side: 0 }
+    ]
+};
+
+class Formations {
+    // Overrides map team size to a list of spots, e.g. from a stadium definition
+    constructor(overrides = {}, field = { width: 800, height: 400 }) {
+        this.overrides = overrides;
+        this.scaleBack = field.width / 800;
+        this.scaleSide = field.height / 400;
+    }
+
+    // Field positions for a team of the given size
+    getSpawns(team, size, center = { x: 400, y: 200 }) {
+        const direction = team === 'red' ? -1 : 1;
+
+        return this.getFormation(size).map(spot => ({
+            x: center.x + direction * spot.back,
+            y: center.y + spot.side
+        }));
+    }
+
+    // Formation for a team size
+    getFormation(size) {
+        if (this.overrides[size]) return this.overrides[size];
+
+        return (DEFAULT_FORMATIONS[size] || Formations.generate(size)).map(spot => ({
+            back: spot.back * this.scaleBack,
+            side: spot.side * this.scaleSide
+        }));
+    }
+
+    // Columns of up to three players, front column nearest the center line
+    static generate(size) {
+        const perColumn = 3;
+        const columns = Math.ceil(size / perColumn);
+        const spacing = columns > 1 ? 240 / (columns - 1) : 0;
+        const spots = [];
+
+        for (let i = 0; i < size; i++) {
+            const column = Math.floor(i / perColumn);
+            const inColumn = Math.min(perColumn, size - column * perColumn);
+            const row = i % perColumn;
+
+            spots.push({
+                back: 90 + column * spacing,
+                side: (row - (inColumn - 1) / 2) * 100
+            });
+        }
+
+        return spots;
+    }
+}
+
+Formations.DEFAULT_FORMATIONS = DEFAULT_FORMATIONS;
+
+module.exports = Formations;
@@ -1,22 +1,31 @@
 // Game Room class for HaxBall Clone
 const PhysicsEngine = require('../client/physics');
+const SnapshotDelta = require('../client/delta');
+const BinaryCodec = require('../client/codec');
+const Formations = require('./formations');
+const Stadium = require('../client/stadium');
 
 class GameRoom {
-    constructor(code, hostPlayer) {
+    constructor(code, hostPlayer, options = {}) {
         this.code = code;
         this.host = hostPlayer;
         this.players = new Map();
         this.maxPlayers = 10;
         this.isPublic = true;
         this.isPlaying = false;
+
+        // Field; sent to clients on join
+        this.stadium = options.stadium || new Stadium();
         
         // Game state
         this.gameState = {
             ball: {
-                x: 400,
-                y: 200,
+                x: this.stadium.center.x,
+                y: this.stadium.center.y,
                 vx: 0,
-                vy: 0
+                vy: 0,
+                spin: 0,
+                angle: 0
             },
             score: {
                 red: 0,
@@ -25,19 +34,64 @@ class GameRoom {
             gameTime: 0,
             lastUpdate: Date.now()
         };
+
+        // Match state machine:
+        // lobby -> countdown -> kickoff -> playing -> goalPause -> kickoff -> ...
+        //       -> (overtime) -> finished -> lobby
+        this.matchState = 'lobby';
+        this.phaseEndTick = null; // tick when a timed phase (countdown, pause, kickoff freeze) ends
+        this.kickoffTeam = 'red'; // team with possession at the next kickoff
+        this.lastTouches = []; // ids of the last two distinct players to touch the ball, latest first
+        this.clockRunning = false; // match clock; stopped during breaks and kickoff freezes
+        this.timeLimit = GameRoom.clampSetting(options.timeLimit, 3, 0, 30); // minutes, 0 = none
+        this.scoreLimit = GameRoom.clampSetting(options.scoreLimit, 3, 0, 20); // goals, 0 = none
+        this.countdownDuration = 3000; // ms
+        this.goalPauseDuration = 3000; // ms
+        this.kickoffFreezeDuration = 2000; // ms
+        this.postMatchDuration = 10000; // ms
+        this.broadcaster = null;
         
-        // Physics engine
-        this.physics = new PhysicsEngine();
+        // Physics engine, tuned by a preset the host can change between matches
+        this.physicsPreset = PhysicsEngine.PRESETS[options.physicsPreset] ? options.physicsPreset : 'classic';
+        this.physicsConfig = PhysicsEngine.createConfig(this.stadium.physics, this.physicsPreset);
+        this.physics = new PhysicsEngine(this.stadium, this.physicsConfig);
         
         // Game loop
         this.gameLoopInterval = null;
-        this.tickRate = 60; // 60 FPS
+        this.tick = 0;
+        this.tickRate = GameRoom.clampSetting(options.tickRate, 60, 30, 120); // simulation Hz
         this.tickInterval = 1000 / this.tickRate;
+        this.accumulator = 0;
+        this.maxCatchUpTicks = 5;
+
+        // Snapshots go out every few ticks; sendRate reports the effective rate
+        const requestedSendRate = GameRoom.clampSetting(options.sendRate, 30, 5, this.tickRate);
+        this.ticksPerSnapshot = Math.max(1, Math.round(this.tickRate / requestedSendRate));
+        this.sendRate = this.tickRate / this.ticksPerSnapshot;
+        this.lastBroadcastTick = 0;
+
+        // Recent snapshots kept as delta baselines
+        this.snapshotId = 0;
+        this.snapshotHistory = new Map();
+        this.maxSnapshotHistory = 32;
+
+        // Player slots for the binary codec; kept after leaving so old baselines still encode
+        this.slotsById = new Map();
+        this.nextSlot = 0;
         
+        // Kick settings
+        this.kickStrength = GameRoom.clampSetting(options.kickStrength, 8, 2, 20);
+        this.kickCooldown = GameRoom.clampSetting(options.kickCooldown, 200, 0, 2000); // ms
+
         // Team management
         this.redTeamCount = 0;
         this.blueTeamCount = 0;
         this.maxTeamSize = 4;
+
+        // Spawn spots
+        this.formations = new Formations(this.stadium.spawns, this.stadium);
+        this.fieldCenter = this.stadium.center;
+        this.spectatorSpot = this.stadium.spectatorSpot;
         
         // Add host player
         this.addPlayer(hostPlayer);
@@ -50,6 +104,8 @@ class GameRoom {
         }
 
         this.players.set(player.id, player);
+        player.ackedSnapshot = null;
+        this.assignSlot(player);
         
         // Auto-assign team
         this.autoAssignTeam(player);
@@ -71,11 +127,67 @@ class GameRoom {
         }
 
         this.players.delete(playerId);
+
+        // Hand the room to someone else when the host leaves
+        if (this.host === player) {
+            this.host = this.pickHost();
+        }
         
         console.log(`Player ${player.nickname} removed from room ${this.code}`);
         return true;
     }
 
+    // Next host: the longest-present connected player, else anyone left
+    pickHost() {
+        const players = Array.from(this.players.values());
+        return players.find(player => player.connected) || players[0] || null;
+    }
+
+    // Give player the next free slot (0-255), reusing slots round-robin
+    assignSlot(player) {
+        const usedSlots = new Set();
+        this.players.forEach(other => {
+            if (other !== player) usedSlots.add(other.slot);
+        });
+
+        let slot = this.nextSlot;
+        while (usedSlots.has(slot)) {
+            slot = (slot + 1) % 256;
+        }
+
+        // Forget whoever had this slot before
+        this.slotsById.forEach((oldSlot, id) => {
+            if (oldSlot === slot) this.slotsById.delete(id);
+        });
+
+        player.slot = slot;
+        this.slotsById.set(player.id, slot);
+        this.nextSlot = (slot + 1) % 256;
+    }
+
+    // Keep a disconnected player's slot, team, stats and position during the grace period
+    holdPlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return false;
+
+        player.connected = false;
+        player.inputQueue = [];
+        player.updateInput(PhysicsEngine.EMPTY_INPUT);
+        return true;
+    }
+
+    // Give a held player back to their new connection
+    resumePlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return false;
+
+        player.connected = true;
+        player.inputQueue = [];
+        player.ackedSnapshot = null; // the new connection has no baseline
+        player.lastSeen = Date.now();
+        return true;
+    }
+
     // Auto-assign player to team
     autoAssignTeam(player) {
         if (this.redTeamCount < this.maxTeamSize && this.redTeamCount <= this.blueTeamCount) {
@@ -87,6 +199,8 @@ class GameRoom {
         } else {
             player.setTeam(null); // Spectator
         }
+
+        this.placePlayer(player);
     }
 
     // Switch player team
@@ -105,13 +219,16 @@ class GameRoom {
         if (newTeam === 'red' && this.redTeamCount < this.maxTeamSize) {
             player.setTeam('red');
             this.redTeamCount++;
+            this.placePlayer(player);
             return true;
         } else if (newTeam === 'blue' && this.blueTeamCount < this.maxTeamSize) {
             player.setTeam('blue');
             this.blueTeamCount++;
+            this.placePlayer(player);
             return true;
         } else if (newTeam === 'spectator' || newTeam === null) {
             player.setTeam(null);
+            this.placePlayer(player);
             return true;
         }
 
@@ -128,23 +245,29 @@ class GameRoom {
     // Update player input
     updatePlayerInput(playerId, input) {
         const player = this.players.get(playerId);
-        if (player) {
+        if (!player) return;
+
+        // Sequenced frames are applied one per tick so the client can reconcile
+        if (typeof input.seq === 'number') {
+            player.queueInput(input);
+        } else {
             player.updateInput(input);
         }
     }
 
-    // Start game loop
-    startGameLoop(io) {
+    // Start game loop (broadcaster exposes to(room).emit like Socket.IO)
+    startGameLoop(broadcaster) {
         if (this.gameLoopInterval) {
             clearInterval(this.gameLoopInterval);
         }
 
+        this.broadcaster = broadcaster;
         this.isPlaying = true;
+        this.accumulator = 0;
         this.gameState.lastUpdate = Date.now();
 
         this.gameLoopInterval = setInterval(() => {
-            this.updateGame();
-            this.broadcastGameState(io);
+            this.runFrame(broadcaster);
         }, this.tickInterval);
 
         console.log(`Game loop started for room ${this.code}`);
@@ -160,82 +283,359 @@ class GameRoom {
         console.log(`Game loop stopped for room ${this.code}`);
     }
 
-    // Update game physics and logic
-    updateGame() {
+    // Run as many fixed ticks as wall-clock time allows, then broadcast
+    runFrame(broadcaster) {
         const now = Date.now();
-        const deltaTime = now - this.gameState.lastUpdate;
+        this.accumulator += now - this.gameState.lastUpdate;
         this.gameState.lastUpdate = now;
 
-        // Normalize delta time for consistent physics
-        const dt = deltaTime / 16.67; // Normalize to 60fps
+        let ticks = 0;
+        while (this.accumulator >= this.tickInterval && ticks < this.maxCatchUpTicks) {
+            this.updateGame();
+            this.accumulator -= this.tickInterval;
+            ticks++;
+        }
+
+        // After a long stall, drop the backlog instead of fast-forwarding
+        if (this.accumulator >= this.tickInterval) {
+            this.accumulator = 0;
+        }
+
+        if (this.tick - this.lastBroadcastTick >= this.ticksPerSnapshot) {
+            this.broadcastGameState(broadcaster);
+            this.lastBroadcastTick = this.tick;
+        }
+    }
 
-        // Update players
+    // Advance game physics and logic by one fixed tick
+    updateGame() {
+        this.updateMatch();
+
+        // Gather one input frame per player; idle players coast without steering
+        const inputs = {};
         this.players.forEach(player => {
-            if (player.team && player.isActive()) {
-                this.physics.updatePlayer(player, player.input, dt);
+            const input = player.consumeInput();
+            if (player.isActive()) {
+                inputs[player.id] = input;
             }
         });
 
-        // Update ball
-        this.physics.updateBall(this.gameState.ball, dt);
+        // Everyone stands still during the pre-match countdown and kickoff freeze
+        if (this.isFrozen()) {
+            this.tick++;
+            return;
+        }
+
+        const result = this.physics.step(this.getSimulationState(), inputs, this.getSimulationRules());
+        this.applySimulationState(result.state);
 
-        // Check collisions
-        this.checkCollisions();
+        // The first touch takes the kickoff
+        if (this.matchState === 'kickoff' && result.events.touches.length > 0) {
+            this.setMatchState('playing');
+        }
+        this.recordTouches(result.events.touches);
 
         // Check for goals
-        const goalScored = this.physics.checkGoal(this.gameState.ball);
-        if (goalScored) {
-            this.handleGoal(goalScored);
+        if (result.events.goal) {
+            this.handleGoal(result.events.goal);
         }
 
-        // Update game time
-        this.gameState.gameTime += deltaTime;
+        // Update match time
+        if (this.clockRunning) {
+            this.gameState.gameTime += this.tickInterval;
+        }
     }
 
-    // Check all collisions
-    checkCollisions() {
-        // Player-ball collisions
-        this.players.forEach(player => {
-            if (player.team && this.physics.checkCollision(player, this.gameState.ball, 15, 10)) {
-                this.physics.resolveCollision(player, this.gameState.ball, 15, 10, 1, 0.5);
-            }
+    // Snapshot of everything the physics step reads
+    getSimulationState() {
+        return {
+            tick: this.tick,
+            players: Array.from(this.players.values()).map(player => ({
+                id: player.id,
+                team: player.team,
+                x: player.x,
+                y: player.y,
+                vx: player.vx,
+                vy: player.vy,
+                stamina: player.stamina,
+                lastKickTick: player.lastKickTick
+            })),
+            ball: { ...this.gameState.ball }
+        };
+    }
+
+    // Write the result of a physics step back to the room
+    applySimulationState(state) {
+        this.tick = state.tick;
+        this.gameState.ball = state.ball;
+
+        state.players.forEach(data => {
+            const player = this.players.get(data.id);
+            if (!player) return;
+
+            player.x = data.x;
+            player.y = data.y;
+            player.vx = data.vx;
+            player.vy = data.vy;
+            player.stamina = data.stamina;
+            player.lastKickTick = data.lastKickTick;
         });
+    }
+
+    // Room settings used by the physics step
+    getSimulationRules() {
+        return {
+            dt: PhysicsEngine.BASE_TICK_RATE / this.tickRate,
+            kickStrength: this.kickStrength,
+            kickCooldownTicks: Math.round(this.kickCooldown / this.tickInterval),
+            kickoff: this.matchState === 'kickoff' ? { team: this.kickoffTeam } : null
+        };
+    }
 
-        // Player-player collisions
-        const playerArray = Array.from(this.players.values()).filter(p => p.team);
-        for (let i = 0; i < playerArray.length; i++) {
-            for (let j = i + 1; j < playerArray.length; j++) {
-                const player1 = playerArray[i];
-                const player2 = playerArray[j];
-                
-                if (this.physics.checkCollision(player1, player2, 15, 15)) {
-                    this.physics.resolveCollision(player1, player2, 15, 15, 1, 1);
+    // Advance the match state machine by one tick
+    updateMatch() {
+        const bothTeams = this.redTeamCount > 0 && this.blueTeamCount > 0;
+        const phaseOver = this.phaseEndTick !== null && this.tick >= this.phaseEndTick;
+
+        // A team emptied before or during the match: back to the lobby until both sides have players
+        if (!bothTeams && GameRoom.MATCH_STATES.includes(this.matchState)) {
+            this.setMatchState('lobby');
+            return;
+        }
+
+        switch (this.matchState) {
+            case 'lobby':
+                if (bothTeams) this.startCountdown();
+                break;
+
+            case 'countdown':
+                if (phaseOver) {
+                    this.startMatch();
                 }
-            }
+                break;
+
+            case 'goalPause':
+                if (phaseOver) {
+                    this.startKickoff(this.kickoffTeam, this.kickoffFreezeDuration);
+                }
+                break;
+
+            case 'playing':
+                if (this.timeLimit > 0 && this.gameState.gameTime >= this.timeLimit * 60000) {
+                    const { red, blue } = this.gameState.score;
+                    if (red === blue) {
+                        // Golden goal: the next goal wins
+                        this.setMatchState('overtime');
+                    } else {
+                        this.endMatch('timeLimit');
+                    }
+                }
+                break;
+
+            case 'finished':
+                if (phaseOver) {
+                    this.resetGame();
+                    this.setMatchState('lobby');
+                }
+                break;
         }
     }
 
+    // Enter a match state, optionally for a fixed duration (ms)
+    setMatchState(state, duration = 0) {
+        this.matchState = state;
+        this.phaseEndTick = duration > 0 ? this.tick + Math.round(duration / this.tickInterval) : null;
+        this.clockRunning = state === 'playing' || state === 'overtime';
+
+        console.log(`Room ${this.code} is now ${state}`);
+    }
+
+    // Both teams have players: line up for a new match
+    startCountdown() {
+        this.resetGame();
+        this.setMatchState('countdown', this.countdownDuration);
+    }
+
+    // Players stand still during countdowns and the start of a kickoff
+    isFrozen() {
+        if (this.matchState === 'countdown') return true;
+        return this.matchState === 'kickoff' && this.phaseEndTick !== null && this.tick < this.phaseEndTick;
+    }
+
+    // Line up for a kickoff; the clock waits until the ball is touched
+    startKickoff(team, freezeDuration) {
+        this.resetPositions();
+        this.kickoffTeam = team;
+        this.setMatchState('kickoff', freezeDuration);
+    }
+
+    // Countdown over: red kicks off
+    startMatch() {
+        this.startKickoff('red', 0);
+        this.emit('matchStarted', {
+            timeLimit: this.timeLimit,
+            scoreLimit: this.scoreLimit
+        });
+    }
+
+    // Finish the match and announce the result
+    endMatch(reason) {
+        const { red, blue } = this.gameState.score;
+        const winner = red > blue ? 'red' : (blue > red ? 'blue' : null);
+
+        this.setMatchState('finished', this.postMatchDuration);
+        this.emit('matchEnded', {
+            winner: winner,
+            reason: reason,
+            score: { ...this.gameState.score },
+            gameTime: this.gameState.gameTime
+        });
+
+        console.log(`Match in room ${this.code} ended (${reason}): red ${red} - ${blue} blue`);
+    }
+
     // Handle goal scored
     handleGoal(team) {
+        // Goals only count while the clock runs; warm-up goals just reset the ball
+        if (!this.clockRunning) {
+            if (this.matchState === 'lobby') {
+                this.physics.resetBall(this.gameState.ball);
+            }
+            return;
+        }
+
         this.gameState.score[team]++;
-        
-        // Reset ball to center
+        const credit = this.creditGoal(team);
+        this.emit('goal', {
+            team: team,
+            score: { ...this.gameState.score },
+            scorer: credit.scorer,
+            assist: credit.assist,
+            ownGoal: credit.ownGoal
+        });
+
+        console.log(`Goal scored in room ${this.code}! ${team.toUpperCase()} team: ${this.gameState.score[team]}`);
+
+        if (this.matchState === 'overtime') {
+            this.endMatch('goldenGoal');
+        } else if (this.scoreLimit > 0 && this.gameState.score[team] >= this.scoreLimit) {
+            this.endMatch('scoreLimit');
+        } else {
+            // Conceding team kicks off
+            this.kickoffTeam = team === 'red' ? 'blue' : 'red';
+            this.setMatchState('goalPause', this.goalPauseDuration);
+        }
+    }
+
+    // Remember the latest distinct touchers (kicks, collisions and sweep hits)
+    recordTouches(touches) {
+        touches.forEach(id => {
+            if (this.lastTouches[0] === id) return;
+            this.lastTouches = [id, ...this.lastTouches.filter(other => other !== id)].slice(0, 2);
+        });
+    }
+
+    // Credit a goal for team to the last toucher, and the one before them as assist
+    // when they're teammates. A last touch by the other team is an own goal.
+    creditGoal(team) {
+        const [scorer, assist] = this.lastTouches.map(id => this.players.get(id));
+        const credit = { scorer: null, assist: null, ownGoal: false };
+        if (!scorer || !scorer.team) return credit;
+
+        credit.scorer = { id: scorer.id, nickname: scorer.nickname };
+        if (scorer.team !== team) {
+            credit.ownGoal = true;
+            return credit;
+        }
+
+        scorer.score++;
+        if (assist && assist.team === team) {
+            assist.assists++;
+            credit.assist = { id: assist.id, nickname: assist.nickname };
+        }
+
+        return credit;
+    }
+
+    // Put the ball and team players back on their starting spots
+    resetPositions() {
         this.physics.resetBall(this.gameState.ball);
-        
-        // Reset all players to starting positions
+        this.lastTouches = [];
+
+        ['red', 'blue'].forEach(team => {
+            const teamPlayers = this.getTeamPlayers(team);
+            const spawns = this.formations.getSpawns(team, teamPlayers.length, this.fieldCenter);
+            teamPlayers.forEach((player, index) => player.moveTo(spawns[index]));
+        });
+    }
+
+    // Move one player to their spot in the formation for their team's current size
+    placePlayer(player) {
+        if (!player.team) {
+            player.moveTo(this.spectatorSpot);
+            return;
+        }
+
+        const teamPlayers = this.getTeamPlayers(player.team);
+        const spawns = this.formations.getSpawns(player.team, teamPlayers.length, this.fieldCenter);
+        player.moveTo(spawns[teamPlayers.indexOf(player)]);
+    }
+
+    // Players of a team in join order, which decides their formation spot
+    getTeamPlayers(team) {
+        return Array.from(this.players.values()).filter(player => player.team === team);
+    }
+
+    // Send an event to everyone in the room
+    emit(event, data) {
+        if (this.broadcaster) {
+            this.broadcaster.to(this.code).emit(event, data);
+        }
+    }
+
+    // Send game state to each player, delta-encoded against their last ack
+    broadcastGameState(broadcaster) {
+        const snapshot = this.createSnapshot();
+
         this.players.forEach(player => {
-            if (player.team) {
-                player.resetPosition();
-            }
+            const useDelta = player.deltaSnapshots && player.ackedSnapshot !== null;
+            const baseline = useDelta ? this.snapshotHistory.get(player.ackedSnapshot) : null;
+            const message = baseline ? SnapshotDelta.encode(baseline, snapshot) : { ...snapshot };
+
+            // Only the owner needs its input ack, so it stays out of the shared snapshot
+            message.lastInputSeq = player.lastProcessedInput;
+
+            const payload = player.codec === 'binary' ? BinaryCodec.encodeSnapshot(message, this.slotsById) : message;
+            broadcaster.to(player.id).emit('gameState', payload);
         });
+    }
 
-        console.log(`Goal scored in room ${this.code}! ${team.toUpperCase()} team: ${this.gameState.score[team]}`);
+    // Number and store current state as a full snapshot
+    createSnapshot() {
+        this.snapshotId++;
+
+        const snapshot = {
+            snapshot: this.snapshotId,
+            baseline: null,
+            ...this.getGameState()
+        };
+
+        this.snapshotHistory.set(this.snapshotId, snapshot);
+        this.snapshotHistory.delete(this.snapshotId - this.maxSnapshotHistory);
+
+        return snapshot;
     }
 
-    // Broadcast game state to all players
-    broadcastGameState(io) {
-        const gameState = this.getGameState();
-        io.to(this.code).emit('gameState', gameState);
+    // Record client ack; unknown or null snapshot falls back to full snapshots
+    acknowledgeSnapshot(playerId, snapshotId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        if (!this.snapshotHistory.has(snapshotId)) {
+            player.ackedSnapshot = null;
+        } else if (player.ackedSnapshot === null || snapshotId > player.ackedSnapshot) {
+            player.ackedSnapshot = snapshotId;
+        }
     }
 
     // Get current game state
@@ -246,12 +646,20 @@ class GameRoom {
                 x: Math.round(this.gameState.ball.x * 100) / 100,
                 y: Math.round(this.gameState.ball.y * 100) / 100,
                 vx: Math.round(this.gameState.ball.vx * 100) / 100,
-                vy: Math.round(this.gameState.ball.vy * 100) / 100
+                vy: Math.round(this.gameState.ball.vy * 100) / 100,
+                spin: Math.round(this.gameState.ball.spin * 1000) / 1000,
+                angle: Math.round(this.gameState.ball.angle * 100) / 100
             },
             score: { ...this.gameState.score },
             gameTime: this.gameState.gameTime,
+            clockRunning: this.clockRunning,
+            matchState: this.matchState,
+            phaseEndTick: this.phaseEndTick,
+            kickoffTeam: this.matchState === 'kickoff' ? this.kickoffTeam : null,
             isPlaying: this.isPlaying,
-            roomCode: this.code
+            roomCode: this.code,
+            tick: this.tick,
+            serverTime: this.gameState.lastUpdate
         };
     }
 
@@ -260,6 +668,37 @@ class GameRoom {
         return Array.from(this.players.values()).map(p => p.getData());
     }
 
+    // Get nicknames and teams
+    getRosterData() {
+        return Array.from(this.players.values()).map(p => p.getRosterData());
+    }
+
+    // Switch to a physics preset plus overrides; only while no match is running
+    setPhysics(presetName, overrides = {}) {
+        if (!PhysicsEngine.PRESETS[presetName]) return false;
+        if (this.matchState !== 'lobby' && this.matchState !== 'finished') return false;
+
+        this.physicsPreset = presetName;
+        this.physicsConfig = PhysicsEngine.createConfig(this.stadium.physics, presetName, overrides);
+        this.physics = new PhysicsEngine(this.stadium, this.physicsConfig);
+
+        console.log(`Room ${this.code} physics set to ${presetName}`);
+        return true;
+    }
+
+    // Physics preset and values, sent to clients so prediction matches the server
+    getPhysicsInfo() {
+        return {
+            preset: this.physicsPreset,
+            config: this.physicsConfig
+        };
+    }
+
+    // Get ping and jitter of every player
+    getLatencyData() {
+        return Array.from(this.players.values()).map(p => p.getLatencyData());
+    }
+
     // Get room info
     getRoomInfo() {
         return {
@@ -268,9 +707,18 @@ class GameRoom {
             maxPlayers: this.maxPlayers,
             isPublic: this.isPublic,
             isPlaying: this.isPlaying,
-            host: this.host.nickname,
+            host: this.host ? this.host.nickname : null,
+            hostId: this.host ? this.host.id : null,
             redTeamCount: this.redTeamCount,
-            blueTeamCount: this.blueTeamCount
+            blueTeamCount: this.blueTeamCount,
+            kickStrength: this.kickStrength,
+            kickCooldown: this.kickCooldown,
+            tickRate: this.tickRate,
+            sendRate: this.sendRate,
+            timeLimit: this.timeLimit,
+            scoreLimit: this.scoreLimit,
+            matchState: this.matchState,
+            stadium: this.stadium.name
         };
     }
 
@@ -278,10 +726,12 @@ class GameRoom {
     resetGame() {
         // Reset ball
         this.gameState.ball = {
-            x: 400,
-            y: 200,
+            x: this.stadium.center.x,
+            y: this.stadium.center.y,
             vx: 0,
-            vy: 0
+            vy: 0,
+            spin: 0,
+            angle: 0
         };
 
         // Reset score
@@ -294,11 +744,11 @@ class GameRoom {
         this.gameState.gameTime = 0;
 
         // Reset all players
+        this.resetPositions();
         this.players.forEach(player => {
-            if (player.team) {
-                player.resetPosition();
-                player.score = 0;
-            }
+            player.score = 0;
+            player.assists = 0;
+            player.stamina = 1;
         });
 
         console.log(`Game reset in room ${this.code}`);
@@ -318,7 +768,18 @@ class GameRoom {
     getActivePlayersCount() {
         return Array.from(this.players.values()).filter(p => p.isActive()).length;
     }
+
+    // Clamp a numeric room setting, falling back to default
+    static clampSetting(value, defaultValue, min, max) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return defaultValue;
+        }
+        return Math.min(max, Math.max(min, value));
+    }
 }
 
+// States that need a player on both teams
+GameRoom.MATCH_STATES = ['countdown', 'kickoff', 'playing', 'goalPause', 'overtime'];
+
 module.exports = GameRoom;
 
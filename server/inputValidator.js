@@ -0,0 +1,30 @@
+// Input frame validation for HaxBall Clone
+const Protocol = require('../client/protocol');
+
+const MAX_SEQ_JUMP = 3600; // one minute of frames at 60Hz
+
+class InputValidator {
+    // Check a decoded frame against the playerInput schema and the sequence
+    // numbers seen so far; sequence numbers must move forward by a bounded
+    // amount. Returns null if valid, else the reason.
+    static validate(frame, lastSeq = 0) {
+        const reason = Protocol.validateObject(frame, Protocol.SCHEMAS.playerInput);
+        if (reason) return reason;
+
+        if (frame.seq !== undefined) {
+            if (frame.seq <= lastSeq) {
+                return 'stale sequence number';
+            }
+
+            if (lastSeq > 0 && frame.seq - lastSeq > MAX_SEQ_JUMP) {
+                return 'sequence number jumped too far';
+            }
+        }
+
+        return null;
+    }
+}
+
+InputValidator.MAX_SEQ_JUMP = MAX_SEQ_JUMP;
+
+module.exports = InputValidator;
@@ -1,76 +1,107 @@
 // Player class for HaxBall Clone
+const PhysicsEngine = require('../client/physics');
+
 class Player {
     constructor(id, nickname) {
         this.id = id;
         this.nickname = nickname;
         this.roomCode = null;
+        this.slot = null; // small per-room id used by the binary codec
+        this.codec = 'json';
+        this.deltaSnapshots = false;
         
         // Position and physics
         this.x = 100;
         this.y = 200;
         this.vx = 0;
         this.vy = 0;
+        this.stamina = 1; // sprint pool, 0 to 1
         
         // Game properties
         this.team = null; // 'red', 'blue', or null (spectator)
         this.isReady = false;
-        this.score = 0;
+        this.score = 0; // goals this match
+        this.assists = 0;
         
         // Input state
         this.input = {
             up: false,
             down: false,
             left: false,
-            right: false
+            right: false,
+            kick: false,
+            sprint: false
         };
+        this.lastKickTick = -Infinity;
+
+        // Sequenced input frames (client-side prediction)
+        this.inputQueue = [];
+        this.maxQueuedInputs = 4; // ticks of backlog allowed for network jitter
+        this.lastProcessedInput = 0;
+        this.lastReceivedInput = 0;
+        this.rejectedInputs = 0;
+
+        // Last snapshot the client confirmed (delta baseline)
+        this.ackedSnapshot = null;
         
         // Connection info
+        this.socketId = id;
+        this.connected = true;
+        this.reconnectToken = null;
         this.lastSeen = Date.now();
-        this.ping = 0;
+        this.ping = 0; // smoothed round-trip time (ms)
+        this.jitter = 0; // smoothed RTT variation (ms)
+        this.smoothedRtt = null;
+        this.pendingPing = null;
     }
 
-    // Update player position based on team assignment
+    // Set team; the room moves the player to a spawn spot
     setTeam(team) {
         this.team = team;
-        
-        // Set starting position based on team
-        if (team === 'red') {
-            this.x = 100;
-            this.y = 200;
-        } else if (team === 'blue') {
-            this.x = 700;
-            this.y = 200;
-        } else {
-            // Spectator position
-            this.x = 400;
-            this.y = 50;
-        }
-        
-        // Reset velocity
-        this.vx = 0;
-        this.vy = 0;
     }
 
-    // Reset player to starting position
-    resetPosition() {
-        if (this.team === 'red') {
-            this.x = 100;
-            this.y = 200;
-        } else if (this.team === 'blue') {
-            this.x = 700;
-            this.y = 200;
-        }
-        
+    // Put player on a spot, standing still
+    moveTo(spot) {
+        this.x = spot.x;
+        this.y = spot.y;
         this.vx = 0;
         this.vy = 0;
     }
 
-    // Update player input
+    // Update player input (known buttons only)
     updateInput(input) {
-        this.input = { ...input };
+        this.input = {};
+        Object.keys(PhysicsEngine.EMPTY_INPUT).forEach(key => {
+            this.input[key] = input[key] === true;
+        });
+        this.lastSeen = Date.now();
+    }
+
+    // Queue a sequenced input frame to be applied on a later tick. One frame is
+    // consumed per tick, so a backlog beyond the jitter allowance would only add
+    // lag: the oldest frames are dropped, keeping their kick for the next one.
+    queueInput(frame) {
+        this.inputQueue.push(frame);
+        this.lastReceivedInput = frame.seq;
+        while (this.inputQueue.length > this.maxQueuedInputs) {
+            const dropped = this.inputQueue.shift();
+            if (dropped.kick) {
+                this.inputQueue[0] = { ...this.inputQueue[0], kick: true };
+            }
+        }
         this.lastSeen = Date.now();
     }
 
+    // Take the next queued frame as current input, keeping the last one if none arrived
+    consumeInput() {
+        const frame = this.inputQueue.shift();
+        if (frame) {
+            this.updateInput(frame);
+            this.lastProcessedInput = frame.seq;
+        }
+        return this.input;
+    }
+
     // Get player data for network transmission
     getData() {
         return {
@@ -83,7 +114,20 @@ class Player {
             team: this.team,
             isReady: this.isReady,
             score: this.score,
-            ping: this.ping
+            assists: this.assists,
+            ping: this.ping,
+            jitter: this.jitter
+        };
+    }
+
+    // Get roster data (sent only when it changes)
+    getRosterData() {
+        return {
+            id: this.id,
+            slot: this.slot,
+            nickname: this.nickname,
+            team: this.team,
+            connected: this.connected
         };
     }
 
@@ -91,12 +135,12 @@ class Player {
     getGameData() {
         return {
             id: this.id,
-            nickname: this.nickname,
             x: Math.round(this.x * 100) / 100, // Round to 2 decimal places
             y: Math.round(this.y * 100) / 100,
             vx: Math.round(this.vx * 100) / 100,
             vy: Math.round(this.vy * 100) / 100,
-            team: this.team
+            stamina: Math.round(this.stamina * 100) / 100,
+            kicking: this.isKicking()
         };
     }
 
@@ -105,39 +149,32 @@ class Player {
         return Date.now() - this.lastSeen < 5000; // 5 seconds timeout
     }
 
-    // Update ping
-    updatePing(ping) {
-        this.ping = ping;
-    }
-
-    // Check if player is in goal area
-    isInGoalArea() {
-        const goalTop = (400 - 80) / 2; // (fieldHeight - goalHeight) / 2
-        const goalBottom = goalTop + 80;
-        
-        // Left goal area
-        if (this.x < 60 && this.y >= goalTop - 20 && this.y <= goalBottom + 20) {
-            return 'left';
-        }
-        
-        // Right goal area
-        if (this.x > 740 && this.y >= goalTop - 20 && this.y <= goalBottom + 20) {
-            return 'right';
+    // Update smoothed RTT and jitter from a new round-trip sample (TCP-style EWMA)
+    updatePing(rtt) {
+        if (this.smoothedRtt === null) {
+            this.smoothedRtt = rtt;
+            this.jitter = rtt / 2;
+        } else {
+            this.jitter += (Math.abs(rtt - this.smoothedRtt) - this.jitter) * 0.25;
+            this.smoothedRtt += (rtt - this.smoothedRtt) * 0.125;
         }
-        
-        return null;
+
+        this.ping = Math.round(this.smoothedRtt);
+        this.jitter = Math.round(this.jitter * 10) / 10;
     }
 
-    // Get distance to ball
-    getDistanceToBall(ball) {
-        const dx = this.x - ball.x;
-        const dy = this.y - ball.y;
-        return Math.sqrt(dx * dx + dy * dy);
+    // Get latency data for player list updates
+    getLatencyData() {
+        return {
+            id: this.id,
+            ping: this.ping,
+            jitter: this.jitter
+        };
     }
 
-    // Check if player can kick ball
-    canKickBall(ball) {
-        return this.getDistanceToBall(ball) <= 30; // Player radius + ball radius + kick range
+    // Check if player is holding the kick button
+    isKicking() {
+        return !!this.input.kick;
     }
 
     // Serialize for JSON
@@ -4,9 +4,16 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 
 const GameRoom = require('./gameRoom');
 const Player = require('./player');
+const { WebSocketTransport } = require('./transport');
+const BinaryCodec = require('../client/codec');
+const Protocol = require('../client/protocol');
+const Stadium = require('../client/stadium');
+const InputValidator = require('./inputValidator');
+const TokenBucket = require('./tokenBucket');
 
 class GameServer {
     constructor() {
@@ -16,13 +23,34 @@ class GameServer {
             cors: {
                 origin: "*",
                 methods: ["GET", "POST"]
-            }
+            },
+            // Leave non Socket.IO upgrades to the plain WebSocket transport
+            destroyUpgrade: false,
+            maxHttpBufferSize: 64 * 1024
         });
+        this.transport = new WebSocketTransport(this.server, { path: '/ws', maxPayload: 64 * 1024 });
 
         this.rooms = new Map();
         this.players = new Map();
         this.port = process.env.PORT || 3000;
 
+        // Latency measurement
+        this.pingInterval = null;
+        this.pingIntervalMs = 2000;
+        this.nextPingId = 1;
+
+        // Reconnect sessions: token -> player, held in their room for a grace period
+        this.sessions = new Map();
+        this.graceTimers = new Map();
+        this.reconnectGracePeriod = 30000;
+
+        // Input limits: clients send one frame per tick (at most 120Hz)
+        this.inputRateLimit = 180; // frames per second
+        this.inputBurst = 120;
+        this.inputViolationWindow = 10000; // ms
+        this.inputViolationWarnThreshold = 30;
+        this.inputViolationKickThreshold = 300;
+
         this.setupMiddleware();
         this.setupRoutes();
         this.setupSocketHandlers();
@@ -74,78 +102,253 @@ class GameServer {
     }
 
     setupSocketHandlers() {
+        // Socket.IO clients
         this.io.on('connection', (socket) => {
-            console.log(`Player connected: ${socket.id}`);
+            this.handleConnection(socket);
+        });
 
-            // Send player ID
-            socket.emit('playerId', { id: socket.id });
+        // Plain WebSocket clients using the {type, payload} envelope
+        this.transport.onConnection((socket) => {
+            this.handleConnection(socket);
+        });
+    }
 
-            // Handle join game
-            socket.on('joinGame', (data) => {
-                this.handleJoinGame(socket, data);
-            });
+    // Wire up event handlers for a socket from either transport
+    handleConnection(socket) {
+        console.log(`Player connected: ${socket.id}`);
 
-            // Handle create room
-            socket.on('createRoom', (data) => {
-                this.handleCreateRoom(socket, data);
-            });
+        // Send player ID
+        socket.emit('playerId', { id: socket.id });
 
-            // Handle join room
-            socket.on('joinRoom', (data) => {
-                this.handleJoinRoom(socket, data);
-            });
+        // Handle protocol handshake
+        this.onMessage(socket, 'hello', (data) => {
+            this.handleHello(socket, data);
+        });
 
-            // Handle player input
-            socket.on('playerInput', (data) => {
-                this.handlePlayerInput(socket, data);
-            });
+        // Handle session resume after reconnect
+        this.onMessage(socket, 'resumeSession', (data) => {
+            this.handleResumeSession(socket, data);
+        });
 
-            // Handle chat message
-            socket.on('chatMessage', (data) => {
-                this.handleChatMessage(socket, data);
-            });
+        // Handle join game
+        this.onMessage(socket, 'joinGame', (data) => {
+            this.handleJoinGame(socket, data);
+        });
 
-            // Handle leave room
-            socket.on('leaveRoom', () => {
-                this.handleLeaveRoom(socket);
-            });
+        // Handle create room
+        this.onMessage(socket, 'createRoom', (data) => {
+            this.handleCreateRoom(socket, data);
+        });
 
-            // Handle switch team
-            socket.on('switchTeam', (data) => {
-                this.handleSwitchTeam(socket, data);
-            });
+        // Handle join room
+        this.onMessage(socket, 'joinRoom', (data) => {
+            this.handleJoinRoom(socket, data);
+        });
 
-            // Handle get public rooms
-            socket.on('getPublicRooms', () => {
-                this.handleGetPublicRooms(socket);
-            });
+        // Handle player input (validated per frame, rejects count towards the rate limit)
+        socket.on('playerInput', (data) => {
+            this.handlePlayerInput(socket, data);
+        });
 
-            // Handle disconnect
-            socket.on('disconnect', () => {
-                this.handleDisconnect(socket);
-            });
+        // Handle latency probe reply
+        this.onMessage(socket, 'pong', (data) => {
+            this.handlePong(socket, data);
+        });
+
+        // Handle clock sync request
+        this.onMessage(socket, 'timeSync', (data) => {
+            this.handleTimeSync(socket, data);
         });
+
+        // Handle snapshot acknowledgement
+        this.onMessage(socket, 'snapshotAck', (data) => {
+            this.handleSnapshotAck(socket, data);
+        });
+
+        // Handle chat message
+        this.onMessage(socket, 'chatMessage', (data) => {
+            this.handleChatMessage(socket, data);
+        });
+
+        // Handle leave room
+        this.onMessage(socket, 'leaveRoom', () => {
+            this.handleLeaveRoom(socket);
+        });
+
+        // Handle switch team
+        this.onMessage(socket, 'switchTeam', (data) => {
+            this.handleSwitchTeam(socket, data);
+        });
+
+        // Handle physics preset change (host only)
+        this.onMessage(socket, 'setPhysics', (data) => {
+            this.handleSetPhysics(socket, data);
+        });
+
+        // Handle get public rooms
+        this.onMessage(socket, 'getPublicRooms', () => {
+            this.handleGetPublicRooms(socket);
+        });
+
+        // Handle disconnect
+        socket.on('disconnect', () => {
+            this.handleDisconnect(socket);
+        });
+    }
+
+    // Register a handler that only receives payloads matching the message schema
+    onMessage(socket, type, handler) {
+        socket.on(type, (data = {}) => {
+            // Clients that skip the handshake predate it
+            if (type !== 'hello' && !socket.data.protocolVersion) {
+                this.refuseClient(socket, `sent ${type} before hello`);
+                return;
+            }
+
+            const reason = Protocol.validate(type, data);
+            if (reason) {
+                console.warn(`Invalid ${type} from ${socket.id}: ${reason}`);
+                this.sendError(socket, Protocol.ERRORS.INVALID_MESSAGE, `${type}: ${reason}`);
+                return;
+            }
+
+            handler(data);
+        });
+    }
+
+    // Send a structured error to one socket
+    sendError(socket, code, detail) {
+        socket.emit('error', Protocol.error(code, detail));
+    }
+
+    // Turn away a client speaking another protocol version
+    refuseClient(socket, reason) {
+        console.warn(`Refusing client ${socket.id}: ${reason}`);
+        this.sendError(socket, Protocol.ERRORS.INCOMPATIBLE_CLIENT, reason);
+        socket.disconnect(true);
     }
 
     handleJoinGame(socket, data) {
-        const { nickname } = data;
+        const nickname = data.nickname.trim();
+
+        // Joining again on the same connection reuses the player and replaces
+        // its token, so no second player or resumable session is left behind.
+        // A player in a room keeps the nickname the room knows them by.
+        let player = this.players.get(socket.id);
+        if (player) {
+            this.sessions.delete(player.reconnectToken);
+            if (!player.roomCode) player.nickname = nickname;
+        } else {
+            player = new Player(socket.id, nickname);
+            this.players.set(socket.id, player);
+        }
+
+        player.codec = socket.data.codec;
+        player.deltaSnapshots = socket.data.deltaSnapshots;
+        player.reconnectToken = crypto.randomBytes(24).toString('hex');
+        this.sessions.set(player.reconnectToken, player);
+
+        socket.emit('session', {
+            token: player.reconnectToken,
+            playerId: player.id
+        });
+
+        console.log(`Player ${nickname} joined the game`);
+    }
+
+    handleResumeSession(socket, data) {
+        const player = this.sessions.get(data.token);
+        if (!player) {
+            socket.emit('sessionExpired', {});
+            return;
+        }
 
-        if (!nickname || nickname.trim().length < 2) {
-            socket.emit('error', { message: 'Invalid nickname' });
+        // A connection that already plays as someone else can't take over a session
+        const current = this.players.get(socket.id);
+        if (current && current !== player) {
+            this.sendError(socket, Protocol.ERRORS.ALREADY_JOINED);
             return;
         }
 
-        // Create player
-        const player = new Player(socket.id, nickname.trim());
+        // Stop the grace timer
+        clearTimeout(this.graceTimers.get(player.id));
+        this.graceTimers.delete(player.id);
+
+        // A stale connection may still own the player (half-open socket); take over
+        if (player.connected && player.socketId !== socket.id) {
+            this.players.delete(player.socketId);
+            const oldSocket = this.getSocket(player.socketId);
+            if (oldSocket) oldSocket.disconnect(true);
+        }
+
+        // Bind player to the new socket; player.id stays stable for the room
         this.players.set(socket.id, player);
+        player.socketId = socket.id;
+        player.codec = socket.data.codec;
+        player.deltaSnapshots = socket.data.deltaSnapshots;
+        socket.join(player.id);
+
+        socket.emit('playerId', { id: player.id });
+        socket.emit('session', {
+            token: player.reconnectToken,
+            playerId: player.id
+        });
 
-        console.log(`Player ${nickname} joined the game`);
+        console.log(`Player ${player.nickname} resumed session`);
+
+        if (!player.roomCode) return;
+
+        const room = this.rooms.get(player.roomCode);
+        if (!room) {
+            player.roomCode = null;
+            return;
+        }
+
+        room.resumePlayer(player.id);
+        socket.join(room.code);
+
+        socket.emit('roomJoined', {
+            roomCode: room.code,
+            players: room.getPlayersData(),
+            room: room.getRoomInfo(),
+            stadium: room.stadium.toJSON(),
+            physics: room.getPhysicsInfo(),
+            resumed: true
+        });
+
+        this.to(room.code, socket).emit('playerReconnected', {
+            playerId: player.id,
+            playerName: player.nickname
+        });
+
+        this.broadcastRoster(room);
+    }
+
+    // Check the client's protocol version and agree on optional features
+    handleHello(socket, data) {
+        if (data.version !== Protocol.VERSION) {
+            this.refuseClient(socket, `client protocol ${data.version}, server protocol ${Protocol.VERSION}`);
+            return;
+        }
+
+        const features = data.features || {};
+        socket.data.protocolVersion = data.version;
+        socket.data.codec = features.binaryCodec ? 'binary' : 'json';
+        socket.data.deltaSnapshots = features.deltaSnapshots === true;
+
+        socket.emit('welcome', {
+            version: Protocol.VERSION,
+            features: {
+                binaryCodec: socket.data.codec === 'binary',
+                deltaSnapshots: socket.data.deltaSnapshots
+            }
+        });
     }
 
     handleCreateRoom(socket, data) {
         const player = this.players.get(socket.id);
         if (!player) {
-            socket.emit('error', { message: 'Player not found' });
+            this.sendError(socket, Protocol.ERRORS.PLAYER_NOT_FOUND);
             return;
         }
 
@@ -155,8 +358,19 @@ class GameServer {
             roomCode = this.generateRoomCode();
         } while (this.rooms.has(roomCode));
 
+        // Custom stadium, if any; the classic field otherwise
+        const settings = { ...data.settings };
+        if (settings.stadium) {
+            try {
+                settings.stadium = new Stadium(settings.stadium);
+            } catch (error) {
+                this.sendError(socket, Protocol.ERRORS.INVALID_STADIUM, error.message);
+                return;
+            }
+        }
+
         // Create new room
-        const room = new GameRoom(roomCode, player);
+        const room = new GameRoom(roomCode, player, settings);
         this.rooms.set(roomCode, room);
 
         // Add player to room
@@ -168,11 +382,16 @@ class GameServer {
         // Notify player
         socket.emit('roomCreated', {
             roomCode: roomCode,
-            players: room.getPlayersData()
+            players: room.getPlayersData(),
+            room: room.getRoomInfo(),
+            stadium: room.stadium.toJSON(),
+            physics: room.getPhysicsInfo()
         });
 
+        this.broadcastRoster(room);
+
         // Start game loop for this room
-        room.startGameLoop(this.io);
+        room.startGameLoop(this);
     }
 
     handleJoinRoom(socket, data) {
@@ -180,18 +399,18 @@ class GameServer {
         const player = this.players.get(socket.id);
 
         if (!player) {
-            socket.emit('error', { message: 'Player not found' });
+            this.sendError(socket, Protocol.ERRORS.PLAYER_NOT_FOUND);
             return;
         }
 
         const room = this.rooms.get(roomCode);
         if (!room) {
-            socket.emit('error', { message: 'Room not found' });
+            this.sendError(socket, Protocol.ERRORS.ROOM_NOT_FOUND);
             return;
         }
 
         if (room.players.size >= room.maxPlayers) {
-            socket.emit('error', { message: 'Room is full' });
+            this.sendError(socket, Protocol.ERRORS.ROOM_FULL);
             return;
         }
 
@@ -205,16 +424,19 @@ class GameServer {
         // Notify player
         socket.emit('roomJoined', {
             roomCode: roomCode,
-            players: room.getPlayersData()
+            players: room.getPlayersData(),
+            room: room.getRoomInfo(),
+            stadium: room.stadium.toJSON(),
+            physics: room.getPhysicsInfo()
         });
 
         // Notify other players
-        socket.to(roomCode).emit('playerJoined', {
+        this.to(roomCode, socket).emit('playerJoined', {
             player: player.getData()
         });
 
-        // Send current game state
-        socket.emit('gameState', room.getGameState());
+        // Send roster; the next snapshot to this player is a full one
+        this.broadcastRoster(room);
     }
 
     handlePlayerInput(socket, data) {
@@ -224,22 +446,117 @@ class GameServer {
         const room = this.rooms.get(player.roomCode);
         if (!room) return;
 
+        // Rate limit per socket
+        if (!socket.data.inputBucket) {
+            socket.data.inputBucket = new TokenBucket(this.inputBurst, this.inputRateLimit);
+        }
+        if (!socket.data.inputBucket.tryRemove()) {
+            this.rejectInput(socket, player, 'rate limit exceeded');
+            return;
+        }
+
+        // Binary frames come from clients that negotiated the binary codec
+        const input = BinaryCodec.isBinary(data) ? BinaryCodec.decodeInput(data) : data;
+        const error = input ? InputValidator.validate(input, player.lastReceivedInput) : 'malformed binary frame';
+        if (error) {
+            this.rejectInput(socket, player, error);
+            return;
+        }
+
         // Update player input
-        player.input = data;
-        room.updatePlayerInput(player.id, data);
+        room.updatePlayerInput(player.id, input);
+    }
+
+    // Count a rejected input frame, warning and then disconnecting repeat offenders
+    rejectInput(socket, player, reason) {
+        player.rejectedInputs++;
+
+        const now = Date.now();
+        let violations = socket.data.inputViolations;
+        if (!violations || now - violations.windowStart > this.inputViolationWindow) {
+            violations = { count: 0, windowStart: now, warned: false };
+            socket.data.inputViolations = violations;
+        }
+        violations.count++;
+
+        if (violations.count >= this.inputViolationKickThreshold) {
+            console.warn(`Disconnecting ${player.nickname}: ${violations.count} rejected inputs (${reason})`);
+            this.sendError(socket, Protocol.ERRORS.INPUT_ABUSE, reason);
+
+            // No grace period for kicked players
+            this.sessions.delete(player.reconnectToken);
+            this.removePlayerFromRoom(socket, player);
+            this.players.delete(socket.id);
+            socket.disconnect(true);
+            return;
+        }
+
+        if (violations.count >= this.inputViolationWarnThreshold && !violations.warned) {
+            violations.warned = true;
+            console.warn(`Rejecting input from ${player.nickname}: ${reason}`);
+            socket.emit('warning', Protocol.error(Protocol.ERRORS.INPUT_REJECTED, reason));
+        }
+    }
+
+    handlePong(socket, data) {
+        const player = this.players.get(socket.id);
+        if (!player || !player.pendingPing || data.id !== player.pendingPing.id) return;
+
+        player.updatePing(Date.now() - player.pendingPing.sentAt);
+        player.pendingPing = null;
+    }
+
+    // Probe every player's round-trip time and share latencies with each room
+    sendPings() {
+        const id = this.nextPingId++;
+        const now = Date.now();
+
+        this.players.forEach(player => {
+            player.pendingPing = { id: id, sentAt: now };
+            this.to(player.id).emit('ping', {
+                id: id,
+                ping: player.ping,
+                jitter: player.jitter
+            });
+        });
+
+        this.rooms.forEach(room => {
+            this.to(room.code).emit('latency', {
+                players: room.getLatencyData()
+            });
+        });
+    }
+
+    // Answer a clock sync request with the server's time
+    handleTimeSync(socket, data) {
+        socket.emit('timeSync', {
+            id: data.id,
+            clientTime: data.clientTime,
+            serverTime: Date.now()
+        });
+    }
+
+    handleSnapshotAck(socket, data) {
+        const player = this.players.get(socket.id);
+        if (!player || !player.roomCode) return;
+
+        const room = this.rooms.get(player.roomCode);
+        if (!room) return;
+
+        room.acknowledgeSnapshot(player.id, data.snapshot);
     }
 
     handleChatMessage(socket, data) {
         const { message } = data;
         const player = this.players.get(socket.id);
 
-        if (!player || !player.roomCode || !message) return;
+        if (!player || !player.roomCode) return;
 
         const room = this.rooms.get(player.roomCode);
         if (!room) return;
 
         // Broadcast chat message to room
-        this.io.to(player.roomCode).emit('chatMessage', {
+        this.to(player.roomCode).emit('chatMessage', {
             playerName: player.nickname,
             message: message.trim(),
             timestamp: Date.now()
@@ -268,7 +585,27 @@ class GameServer {
         room.switchPlayerTeam(player.id, team);
 
         // Broadcast updated player list
-        this.io.to(player.roomCode).emit('gameState', room.getGameState());
+        this.broadcastRoster(room);
+    }
+
+    handleSetPhysics(socket, data) {
+        const player = this.players.get(socket.id);
+        if (!player || !player.roomCode) return;
+
+        const room = this.rooms.get(player.roomCode);
+        if (!room) return;
+
+        if (room.host !== player) {
+            this.sendError(socket, Protocol.ERRORS.NOT_HOST);
+            return;
+        }
+
+        if (!room.setPhysics(data.preset, data.config || {})) {
+            this.sendError(socket, Protocol.ERRORS.MATCH_IN_PROGRESS);
+            return;
+        }
+
+        this.to(room.code).emit('physicsChanged', room.getPhysicsInfo());
     }
 
     handleGetPublicRooms(socket) {
@@ -288,10 +625,51 @@ class GameServer {
         console.log(`Player disconnected: ${socket.id}`);
 
         const player = this.players.get(socket.id);
-        if (player) {
-            this.removePlayerFromRoom(socket, player);
-            this.players.delete(socket.id);
+        if (!player) return;
+
+        this.players.delete(socket.id);
+
+        // Players in a room keep their place for a while so they can reconnect
+        if (player.roomCode && this.rooms.has(player.roomCode)) {
+            this.holdPlayer(player);
+            return;
         }
+
+        this.removePlayerFromRoom(socket, player);
+        this.sessions.delete(player.reconnectToken);
+    }
+
+    // Keep a disconnected player in their room until the grace period ends
+    holdPlayer(player) {
+        const room = this.rooms.get(player.roomCode);
+        room.holdPlayer(player.id);
+
+        this.to(room.code).emit('playerDisconnected', {
+            playerId: player.id,
+            playerName: player.nickname
+        });
+        this.broadcastRoster(room);
+
+        console.log(`Player ${player.nickname} disconnected, holding slot in room ${room.code}`);
+
+        this.graceTimers.set(player.id, setTimeout(() => {
+            this.expireSession(player);
+        }, this.reconnectGracePeriod));
+    }
+
+    // Grace period over: remove the player for good
+    expireSession(player) {
+        this.graceTimers.delete(player.id);
+        if (player.connected) return;
+
+        console.log(`Session of ${player.nickname} expired`);
+        this.sessions.delete(player.reconnectToken);
+        this.removePlayerFromRoom(null, player);
+    }
+
+    // Find a connected socket on either transport
+    getSocket(socketId) {
+        return this.io.sockets.sockets.get(socketId) || this.transport.clients.get(socketId);
     }
 
     removePlayerFromRoom(socket, player) {
@@ -301,17 +679,30 @@ class GameServer {
         if (!room) return;
 
         // Remove player from room
+        const wasHost = room.host === player;
         room.removePlayer(player.id);
-        socket.leave(player.roomCode);
+        if (socket) {
+            socket.leave(player.roomCode);
+        }
 
         // Notify other players
-        socket.to(player.roomCode).emit('playerLeft', {
+        this.to(player.roomCode, socket).emit('playerLeft', {
             playerId: player.id,
             playerName: player.nickname
         });
 
         console.log(`Player ${player.nickname} left room ${player.roomCode}`);
 
+        this.broadcastRoster(room);
+
+        // Tell everyone who the host is now
+        if (wasHost && room.host) {
+            console.log(`${room.host.nickname} is now the host of room ${room.code}`);
+            this.to(room.code).emit('roomInfo', {
+                room: room.getRoomInfo()
+            });
+        }
+
         // Clean up empty rooms
         if (room.players.size === 0) {
             room.stopGameLoop();
@@ -322,6 +713,27 @@ class GameServer {
         player.roomCode = null;
     }
 
+    // Send nicknames and teams to everyone in a room
+    broadcastRoster(room) {
+        this.to(room.code).emit('roster', {
+            players: room.getRosterData()
+        });
+    }
+
+    // Broadcast to a room across both transports, optionally skipping one socket
+    to(roomCode, except = null) {
+        return {
+            emit: (event, data) => {
+                let target = this.io.to(roomCode);
+                if (except) {
+                    target = target.except(except.id);
+                }
+                target.emit(event, data);
+                this.transport.to(roomCode, except).emit(event, data);
+            }
+        };
+    }
+
     generateRoomCode() {
         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
         let result = '';
@@ -336,17 +748,26 @@ class GameServer {
             console.log(`HaxBall server running on port ${this.port}`);
             console.log(`Game available at: http://localhost:${this.port}`);
         });
+
+        this.pingInterval = setInterval(() => {
+            this.sendPings();
+        }, this.pingIntervalMs);
     }
 
     // Graceful shutdown
     shutdown() {
         console.log('Shutting down server...');
+
+        clearInterval(this.pingInterval);
+        this.graceTimers.forEach(timer => clearTimeout(timer));
         
         // Stop all room game loops
         this.rooms.forEach(room => {
             room.stopGameLoop();
         });
 
+        this.transport.close();
+
         this.server.close(() => {
             console.log('Server shut down successfully');
             process.exit(0);
@@ -0,0 +1,37 @@
+// Input queue tests: a client sending faster than the tick rate can't build up lag
+// Run with `npm test` from server/
+const test = require('node:test');
+const assert = require('node:assert');
+const Player = require('../player');
+
+function frame(seq, buttons = {}) {
+    return { seq: seq, up: false, down: false, left: false, right: false, kick: false, sprint: false, ...buttons };
+}
+
+test('backlog beyond the jitter allowance is dropped, oldest first', () => {
+    const player = new Player('p', 'Alice');
+
+    // Two frames per tick for a while
+    let seq = 1;
+    for (let tick = 0; tick < 50; tick++) {
+        player.queueInput(frame(seq++));
+        player.queueInput(frame(seq++));
+        player.consumeInput();
+    }
+
+    assert.ok(player.inputQueue.length <= player.maxQueuedInputs);
+    assert.ok(seq - 1 - player.lastProcessedInput <= player.maxQueuedInputs,
+        `input lag of ${seq - 1 - player.lastProcessedInput} frames`);
+});
+
+test('a kick in a dropped frame still reaches the simulation', () => {
+    const player = new Player('p', 'Alice');
+
+    player.queueInput(frame(1, { kick: true }));
+    for (let seq = 2; seq <= player.maxQueuedInputs + 1; seq++) {
+        player.queueInput(frame(seq));
+    }
+
+    assert.strictEqual(player.inputQueue[0].seq, 2);
+    assert.strictEqual(player.consumeInput().kick, true);
+});
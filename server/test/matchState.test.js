@@ -0,0 +1,62 @@
+// Match state machine tests: a match needs a player on both teams
+// Run with `npm test` from server/
+const test = require('node:test');
+const assert = require('node:assert');
+const GameRoom = require('../gameRoom');
+const Player = require('../player');
+
+// Room with one red and one blue player, advanced to the given match state
+function roomIn(state) {
+    const red = new Player('red', 'Alice');
+    const blue = new Player('blue', 'Bob');
+    const room = new GameRoom('TEST', red);
+    room.addPlayer(blue);
+
+    room.updateMatch();
+    assert.strictEqual(room.matchState, 'countdown');
+    if (state !== 'countdown') {
+        room.setMatchState(state);
+    }
+
+    return { room, red, blue };
+}
+
+test.beforeEach(() => {
+    test.mock.method(console, 'log', () => {});
+});
+
+test.afterEach(() => {
+    test.mock.restoreAll();
+});
+
+GameRoom.MATCH_STATES.forEach(state => {
+    test(`${state} goes back to the lobby when a team empties`, () => {
+        const { room, blue } = roomIn(state);
+
+        room.removePlayer(blue.id);
+        room.updateMatch();
+
+        assert.strictEqual(room.matchState, 'lobby');
+        assert.strictEqual(room.clockRunning, false);
+    });
+});
+
+test('kickoff with both teams empty settles in the lobby', () => {
+    const { room, red, blue } = roomIn('kickoff');
+
+    room.removePlayer(red.id);
+    room.removePlayer(blue.id);
+    for (let i = 0; i < 3; i++) {
+        room.updateMatch();
+    }
+
+    assert.strictEqual(room.matchState, 'lobby');
+});
+
+test('match keeps running while both teams have players', () => {
+    const { room } = roomIn('playing');
+
+    room.updateMatch();
+
+    assert.strictEqual(room.matchState, 'playing');
+});
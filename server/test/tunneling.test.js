@@ -0,0 +1,104 @@
+// Tunneling regression tests for the ball sweep (PhysicsEngine.updateBall)
+// Run with `npm test` from server/
+const test = require('node:test');
+const assert = require('node:assert');
+const Stadium = require('../../client/stadium');
+const PhysicsEngine = require('../../client/physics');
+
+const physics = new PhysicsEngine(new Stadium());
+const contactDistance = physics.playerRadius + physics.ballRadius;
+const EPSILON = 1e-6;
+
+// Players standing still, one step of `dt` 60Hz steps each tick
+function simulate(ball, players, ticks, dt, check) {
+    let state = { tick: 0, players: players, ball: ball };
+    const touched = new Set();
+
+    for (let i = 0; i < ticks; i++) {
+        const result = physics.step(state, {}, { dt: dt });
+        result.events.touches.forEach(id => touched.add(id));
+        state = result.state;
+        check(state.ball, state, i);
+    }
+
+    return { state, touched };
+}
+
+function player(id, x, y) {
+    return { id: id, team: 'blue', x: x, y: y, vx: 0, vy: 0, lastKickTick: -Infinity };
+}
+
+function assertOutsidePlayers(ball, state, tick) {
+    state.players.forEach(p => {
+        const distance = PhysicsEngine.distance(ball, p);
+        assert.ok(distance >= contactDistance - EPSILON,
+            `tick ${tick}: ball inside ${p.id} (distance ${distance.toFixed(2)})`);
+    });
+}
+
+test('fast ball bounces off a player instead of passing through', () => {
+    const { state, touched } = simulate({ x: 300, y: 200, vx: 30, vy: 0 }, [player('p', 345, 200)], 10, 2,
+        (ball, current, tick) => {
+            assertOutsidePlayers(ball, current, tick);
+            assert.ok(ball.x < current.players[0].x, `tick ${tick}: ball got past the player (x ${ball.x.toFixed(2)})`);
+        });
+
+    assert.ok(touched.has('p'));
+    assert.ok(state.ball.vx < 0, 'ball should come back off the player');
+});
+
+test('ball grazing a player edge is deflected, never overlapping', () => {
+    const { state, touched } = simulate({ x: 300, y: 200, vx: 30, vy: 0 }, [player('p', 345, 200 + contactDistance - 1)], 10, 2,
+        assertOutsidePlayers);
+
+    assert.ok(touched.has('p'));
+    assert.ok(state.ball.vy < 0, 'ball should be pushed away from the player');
+});
+
+test('fast ball into a wall stays on the field', () => {
+    const wallX = 800;
+    simulate({ x: 770, y: 100, vx: 40, vy: 0 }, [], 10, 2, (ball, current, tick) => {
+        assert.ok(ball.x <= wallX - physics.ballRadius + EPSILON,
+            `tick ${tick}: ball in or past the wall (x ${ball.x.toFixed(2)})`);
+    });
+});
+
+test('fast ball into a corner post stays out of it and inside the field', () => {
+    const post = { x: 800, y: 160, radius: 4 };
+
+    [[40, 0], [30, -20], [25, -25], [20, -30]].forEach(([vx, vy]) => {
+        // Aim straight at the post from 60px away
+        const speed = Math.sqrt(vx * vx + vy * vy);
+        const start = { x: post.x - vx / speed * 60, y: post.y - vy / speed * 60, vx: vx, vy: vy };
+
+        simulate(start, [], 10, 2, (ball, current, tick) => {
+            const distance = PhysicsEngine.distance(ball, post);
+            assert.ok(distance >= post.radius + physics.ballRadius - EPSILON,
+                `shot (${vx}, ${vy}) tick ${tick}: ball inside the post (distance ${distance.toFixed(2)})`);
+            assert.ok(ball.x <= 800 - physics.ballRadius + EPSILON || (ball.y > 160 && ball.y < 240),
+                `shot (${vx}, ${vy}) tick ${tick}: ball left the field beside the goal (${ball.x.toFixed(2)}, ${ball.y.toFixed(2)})`);
+        });
+    });
+});
+
+test('max-speed shot is stopped by a player and by the wall', () => {
+    // Strongest room kick, kicker at top speed, lowest tick rate (30Hz, dt 2)
+    const kicker = { id: 'k', team: 'red', x: 200, y: 100, vx: physics.maxSpeed, vy: 0, lastKickTick: -Infinity };
+    const ball = { x: 200 + contactDistance, y: 100, vx: 0, vy: 0, spin: 0, angle: 0 };
+    physics.applyKick(kicker, ball, 20);
+    const shotSpeed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+    assert.ok(shotSpeed * 2 > physics.playerRadius * 2, 'shot should cover more than a player width per tick');
+
+    // Into a defender
+    const { touched } = simulate({ ...ball }, [player('d', 300, 100)], 10, 2, (current, state, tick) => {
+        assertOutsidePlayers(current, state, tick);
+        assert.ok(current.x < 300, `tick ${tick}: ball got past the defender (x ${current.x.toFixed(2)})`);
+    });
+    assert.ok(touched.has('d'));
+
+    // Into the far wall, with nobody in the way
+    simulate({ ...ball }, [], 60, 2, (current, state, tick) => {
+        assert.ok(current.x <= 800 - physics.ballRadius + EPSILON,
+            `tick ${tick}: ball in or past the wall (x ${current.x.toFixed(2)})`);
+    });
+});
@@ -0,0 +1,31 @@
+// Token bucket rate limiter for HaxBall Clone
+class TokenBucket {
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+    }
+
+    // Take tokens if available
+    tryRemove(count = 1) {
+        this.refill();
+
+        if (this.tokens < count) {
+            return false;
+        }
+
+        this.tokens -= count;
+        return true;
+    }
+
+    // Add tokens for the time elapsed since last refill
+    refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.lastRefill = now;
+    }
+}
+
+module.exports = TokenBucket;
@@ -0,0 +1,222 @@
+// Plain WebSocket transport for HaxBall Clone
+// Speaks the {type, payload} JSON envelope used by client/network.js and
+// exposes Socket.IO-like sockets so GameServer handlers work with both.
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const BinaryCodec = require('../client/codec');
+
+class WebSocketClient {
+    constructor(ws, transport) {
+        this.id = crypto.randomBytes(10).toString('hex');
+        this.ws = ws;
+        this.transport = transport;
+        this.rooms = new Set();
+        this.handlers = new Map();
+        this.data = {}; // per-connection state, like Socket.IO's socket.data
+    }
+
+    // Register handler for an incoming message type
+    on(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    // Send message to this client; binary payloads carry their own type byte
+    emit(type, payload = {}) {
+        if (this.ws.readyState !== WebSocket.OPEN) return false;
+
+        try {
+            if (BinaryCodec.isBinary(payload)) {
+                this.ws.send(payload, { binary: true });
+            } else {
+                this.ws.send(JSON.stringify({ type, payload }));
+            }
+            return true;
+        } catch (error) {
+            console.error(`Failed to send ${type} to ${this.id}:`, error);
+            return false;
+        }
+    }
+
+    // Join a room
+    join(roomCode) {
+        this.rooms.add(roomCode);
+        this.transport.addToRoom(roomCode, this);
+    }
+
+    // Leave a room
+    leave(roomCode) {
+        this.rooms.delete(roomCode);
+        this.transport.removeFromRoom(roomCode, this);
+    }
+
+    // Broadcast to a room, skipping this client
+    to(roomCode) {
+        return this.transport.to(roomCode, this);
+    }
+
+    // Route an envelope from the wire; internal events can't be sent by clients
+    receive(message) {
+        if (WebSocketClient.INTERNAL_EVENTS.includes(message.type)) {
+            console.warn(`Rejected internal message type from ${this.id}:`, message.type);
+            return;
+        }
+
+        this.dispatch(message);
+    }
+
+    // Route a parsed envelope to its handler
+    dispatch(message) {
+        const handler = this.handlers.get(message.type);
+        if (handler) {
+            handler(message.payload || {});
+        } else {
+            console.warn(`Unknown message type from ${this.id}:`, message.type);
+        }
+    }
+
+    // Close the connection
+    disconnect() {
+        this.ws.close();
+    }
+}
+
+// Events raised by the transport itself, never accepted from a client
+WebSocketClient.INTERNAL_EVENTS = ['connect', 'connection', 'disconnect', 'disconnecting', 'error'];
+
+class WebSocketTransport {
+    constructor(server, options = {}) {
+        this.path = options.path || '/ws';
+        this.sharedPaths = options.sharedPaths || ['/socket.io'];
+        this.clients = new Map();
+        this.rooms = new Map();
+        this.connectionHandler = null;
+
+        this.wss = new WebSocket.Server({
+            noServer: true,
+            maxPayload: options.maxPayload || 64 * 1024
+        });
+
+        // Take upgrades on our path and leave Socket.IO's to it; close the rest
+        server.on('upgrade', (req, socket, head) => {
+            if (!this.matchesPath(req.url)) {
+                if (!this.isSharedPath(req.url)) socket.destroy();
+                return;
+            }
+
+            this.wss.handleUpgrade(req, socket, head, (ws) => {
+                this.handleConnection(ws);
+            });
+        });
+    }
+
+    // Set connection callback
+    onConnection(handler) {
+        this.connectionHandler = handler;
+    }
+
+    // Check if request URL targets this transport
+    matchesPath(url) {
+        const pathname = (url || '').split('?')[0];
+        return pathname === this.path || pathname === `${this.path}/`;
+    }
+
+    // Check if request URL belongs to another upgrade handler (Socket.IO)
+    isSharedPath(url) {
+        const pathname = (url || '').split('?')[0];
+        return this.sharedPaths.some(shared => pathname === shared || pathname.startsWith(`${shared}/`));
+    }
+
+    // Handle new WebSocket connection
+    handleConnection(ws) {
+        const client = new WebSocketClient(ws, this);
+        this.clients.set(client.id, client);
+
+        // Like Socket.IO, every client is in a room named after its id
+        client.join(client.id);
+
+        if (this.connectionHandler) {
+            this.connectionHandler(client);
+        }
+
+        ws.on('message', (raw, isBinary) => {
+            if (isBinary) {
+                const type = BinaryCodec.MESSAGE_EVENTS[BinaryCodec.messageType(raw)];
+                if (!type) {
+                    console.warn(`Unknown binary message from ${client.id}`);
+                    return;
+                }
+                client.dispatch({ type, payload: raw });
+                return;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                console.warn(`Invalid message from ${client.id}`);
+                return;
+            }
+
+            if (!message || typeof message.type !== 'string') {
+                console.warn(`Malformed envelope from ${client.id}`);
+                return;
+            }
+
+            client.receive(message);
+        });
+
+        ws.on('close', () => {
+            client.rooms.forEach(roomCode => this.removeFromRoom(roomCode, client));
+            client.rooms.clear();
+            this.clients.delete(client.id);
+            client.dispatch({ type: 'disconnect' });
+        });
+
+        ws.on('error', (error) => {
+            console.error(`WebSocket error for ${client.id}:`, error.message);
+        });
+    }
+
+    // Add client to room
+    addToRoom(roomCode, client) {
+        if (!this.rooms.has(roomCode)) {
+            this.rooms.set(roomCode, new Set());
+        }
+        this.rooms.get(roomCode).add(client);
+    }
+
+    // Remove client from room
+    removeFromRoom(roomCode, client) {
+        const members = this.rooms.get(roomCode);
+        if (!members) return;
+
+        members.delete(client);
+        if (members.size === 0) {
+            this.rooms.delete(roomCode);
+        }
+    }
+
+    // Broadcast to all clients in a room, optionally skipping one
+    to(roomCode, except = null) {
+        return {
+            emit: (type, payload) => {
+                const members = this.rooms.get(roomCode);
+                if (!members) return;
+
+                members.forEach(client => {
+                    if (client !== except) {
+                        client.emit(type, payload);
+                    }
+                });
+            }
+        };
+    }
+
+    // Close all connections
+    close() {
+        this.clients.forEach(client => client.disconnect());
+        this.wss.close();
+    }
+}
+
+module.exports = { WebSocketTransport, WebSocketClient };